@@ -239,41 +239,30 @@ class QuantityInput extends HTMLElement {
   }
 
   onInputChange(event) {
+    window.themeQuantity.apply(this.input);
     this.validateQtyRules();
   }
 
   onButtonClick(event) {
     event.preventDefault();
     const previousValue = this.input.value;
+    const button = event.target.closest('button');
 
-    if (event.target.name === 'plus') {
-      if (parseInt(this.input.dataset.min) > parseInt(this.input.step) && this.input.value == 0) {
-        this.input.value = this.input.dataset.min;
-      } else {
-        this.input.stepUp();
-      }
-    } else {
-      this.input.stepDown();
-    }
+    window.themeQuantity.step(this.input, button.name === 'plus' ? 1 : -1);
 
     if (previousValue !== this.input.value) this.input.dispatchEvent(this.changeEvent);
-
-    if (this.input.dataset.min === previousValue && event.target.name === 'minus') {
-      this.input.value = parseInt(this.input.min);
-    }
   }
 
   validateQtyRules() {
     const value = parseInt(this.input.value);
-    if (this.input.min) {
-      const buttonMinus = this.querySelector(".quantity__button[name='minus']");
-      buttonMinus.classList.toggle('disabled', parseInt(value) <= parseInt(this.input.min));
-    }
-    if (this.input.max) {
-      const max = parseInt(this.input.max);
-      const buttonPlus = this.querySelector(".quantity__button[name='plus']");
-      buttonPlus.classList.toggle('disabled', value >= max);
-    }
+    const rule = window.themeQuantity.getRule(this.input);
+    const inCart = window.themeQuantity.getCartQuantity(this.input);
+
+    const buttonMinus = this.querySelector(".quantity__button[name='minus']");
+    buttonMinus?.classList.toggle('disabled', value + inCart <= rule.min);
+
+    const buttonPlus = this.querySelector(".quantity__button[name='plus']");
+    buttonPlus?.classList.toggle('disabled', Boolean(rule.max) && value + inCart >= rule.max);
   }
 }
 
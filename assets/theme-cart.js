@@ -4,53 +4,35 @@
  * Other scripts can subscribe to cart events for custom functionality
  */
 
-// Event system for cart updates
-class CartEvents {
-  constructor() {
-    this.events = {};
-  }
-
-  /**
-   * Subscribe to cart events
-   * @param {string} eventName - Event to listen for
-   * @param {function} callback - Function to call when event fires
-   * @returns {function} Unsubscribe function
-   */
-  subscribe(eventName, callback) {
-    if (!this.events[eventName]) {
-      this.events[eventName] = [];
-    }
-    this.events[eventName].push(callback);
-    
-    // Return unsubscribe function
-    return () => {
-      this.events[eventName] = this.events[eventName].filter(cb => cb !== callback);
-    };
-  }
-
-  /**
-   * Publish cart event
-   * @param {string} eventName - Event to fire
-   * @param {object} data - Event data
-   */
-  publish(eventName, data) {
-    if (!this.events[eventName]) return;
-    this.events[eventName].forEach(callback => callback(data));
-  }
-}
-
-// Global cart event system
-window.CartEvents = new CartEvents();
+// Event bus: window.CartEvents lives in theme-events.js, loaded by the layout
+// Prices: window.themeMoney lives in theme-money.js, loaded by the layout
 
 // Available cart events:
 // - 'cart:update' - Cart was updated (quantity change, add, remove)
+//   (remote: true when the update came from another tab)
 // - 'cart:add' - Item was added to cart
 // - 'cart:remove' - Item was removed from cart
 // - 'cart:change' - Cart quantity changed
 // - 'cart:error' - Cart operation failed
 // - 'cart:note' - Cart note was updated
+// - 'cart:attributes' - Cart attributes were updated
+// - 'cart:discount' - Discount code was applied or removed
+// - 'cart:swap' - Variant of a cart line was swapped
+// - 'cart:saved' - Line was moved to the saved-for-later list
+// - 'cart:restored' - Saved item was moved back to the cart
+// - 'cart:restore' - Cart was rebuilt from a shared cart token
+// - 'cart:validated' - Cart lines were checked against stock and quantity rules
+// - 'cart:threshold-reached' - Cart total crossed the free-shipping threshold
 // - 'cart:loading' - Cart operation started
 // - 'cart:loaded' - Cart operation completed
+// - 'cart:rollback' - Optimistic update was reverted after the server rejected it
+// - 'cart:subscriber-error' - A subscriber threw while handling another event
+// - 'cart:before-add' / 'cart:before-change' / 'cart:before-update' - Before a
+//   mutation is sent; handlers may change event.payload, call event.cancel(reason)
+//   or throw/reject to block it. The request waits for every (async) handler
+//   of the exact event; wildcard subscribers can't block it.
+//
+// Wildcards match groups of events: subscribe('cart:*', callback)
 
 /**
  * Cart updater class - handles selective section updates
@@ -58,6 +40,9 @@ window.CartEvents = new CartEvents();
 class CartUpdater {
   constructor() {
     this.isUpdating = false;
+    this.pending = new Map();
+    this.running = null;
+    this.optimistic = new Map();
   }
 
   /**
@@ -77,8 +62,10 @@ class CartUpdater {
     if (context === 'page') {
       const mainSection = document.querySelector('[data-cart-main-section]');
       
-      // If cart is empty or becomes empty, update entire section to show/hide empty state
-      if (cartData && cartData.item_count === 0 && mainSection) {
+      // If cart is empty, becomes empty or gets filled from the empty state,
+      // update entire section to show/hide empty state
+      const showsEmptyState = mainSection && !mainSection.querySelector('[data-cart-items-section]');
+      if (cartData && mainSection && (cartData.item_count === 0 || showsEmptyState)) {
         sections.push({
           id: sectionId,
           selector: '[data-cart-main-section]',
@@ -153,23 +140,43 @@ class CartUpdater {
     return sections;
   }
 
+  /**
+   * Get the IDs of all cart sections on the page
+   * Passed to cart mutations so the response carries the rendered HTML
+   * @returns {array} Unique section IDs
+   */
+  getSectionIds() {
+    const ids = ['page', 'preview']
+      .flatMap(context => this.getSectionsToUpdate(context))
+      .map(s => s.id);
+
+    return [...new Set(ids)];
+  }
+
   /**
    * Update specific cart sections
+   * Uses the sections payload from a cart mutation when it covers every
+   * section, otherwise falls back to a separate Section Rendering request
    * @param {array} sections - Sections to update
    * @param {object} cartData - Updated cart data from API
+   * @param {object} sectionsData - Rendered sections keyed by ID (optional)
    */
-  async updateSections(sections, cartData) {
+  async updateSections(sections, cartData, sectionsData = null) {
     if (!sections || sections.length === 0) return;
     const sectionIds = sections.map(s => s.id).filter(Boolean);
     if (sectionIds.length === 0) return;
     
     try {
-      const params = new URLSearchParams({
-        sections: sectionIds.join(',')
-      });
-      
-      const response = await fetch(`${window.Shopify.routes.root}?${params}`);
-      const sectionsData = await response.json();
+      const isComplete = sectionsData && sectionIds.every(id => sectionsData[id]);
+
+      if (!isComplete) {
+        const params = new URLSearchParams({
+          sections: sectionIds.join(',')
+        });
+        
+        const response = await fetch(`${window.Shopify.routes.root}?${params}`);
+        sectionsData = await response.json();
+      }
       
       sections.forEach(section => {
         if (!section.target || !section.selector || !section.id) return;
@@ -204,18 +211,56 @@ class CartUpdater {
 
   /**
    * Update cart by re-fetching specific sections
+   * Calls made while an update is running are not dropped: the latest
+   * request per context is kept and rendered once the current one finishes
+   * @param {object} options - Update options
+   * @returns {Promise<boolean>} Resolves when all pending renders are done
+   */
+  update(options = {}) {
+    const context = options.context || 'page';
+    this.pending.set(context, options);
+
+    if (!this.isUpdating) {
+      this.running = this.flush();
+    }
+
+    return this.running;
+  }
+
+  /**
+   * Render pending updates one after another until none are left
+   * @returns {Promise<boolean>} Result of the last render
+   */
+  async flush() {
+    this.isUpdating = true;
+    let result = true;
+
+    try {
+      while (this.pending.size > 0) {
+        const [context, options] = this.pending.entries().next().value;
+        this.pending.delete(context);
+        result = await this.render(options);
+      }
+    } finally {
+      this.isUpdating = false;
+    }
+
+    return result;
+  }
+
+  /**
+   * Re-fetch and swap the sections for a single context
    * @param {object} options - Update options
+   * @returns {boolean} Success state
    */
-  async update(options = {}) {
+  async render(options = {}) {
     const {
       context = 'page',
       cartData = null,
+      sections: sectionsData = cartData?.sections || null,
       skipSections = []
     } = options;
 
-    if (this.isUpdating) return;
-    this.isUpdating = true;
-
     window.CartEvents.publish('cart:loading', { context });
 
     try {
@@ -224,7 +269,7 @@ class CartUpdater {
       // Filter out skipped sections
       sections = sections.filter(s => !skipSections.includes(s.id));
 
-      await this.updateSections(sections, cartData);
+      await this.updateSections(sections, cartData, sectionsData);
 
       window.CartEvents.publish('cart:loaded', { context, cartData });
       
@@ -233,92 +278,377 @@ class CartUpdater {
       console.error('Cart update failed:', error);
       window.CartEvents.publish('cart:error', { error, context });
       return false;
-    } finally {
-      this.isUpdating = false;
     }
   }
+
+  /**
+   * Check if optimistic updates are enabled for a cart context element
+   * @param {HTMLElement} element - Element inside a [data-cart-context] container
+   * @returns {boolean}
+   */
+  isOptimistic(element) {
+    return element?.closest('[data-cart-context]')?.dataset.cartOptimistic === 'true';
+  }
+
+  /**
+   * Apply a line quantity change to the DOM right away, before the server responds
+   * Edits stack: each one is rendered on top of the edits still in the queue
+   * Lines are found by key, line numbers shift while removals are queued
+   * @param {object} options - { key, quantity }
+   * @returns {object|null} Snapshot to pass to rollback(), or null when no local cart is known
+   */
+  applyOptimistic({ key, quantity }) {
+    if (!window.CartAPI.cart?.items?.some(item => item.key === key)) return null;
+
+    this.optimistic.set(key, quantity);
+    this.renderLocal(this.getLocalCart());
+
+    return { key, quantity };
+  }
+
+  /**
+   * Last confirmed cart with the pending optimistic edits applied
+   * @returns {object} Cart data in cart.js format
+   */
+  getLocalCart() {
+    const cart = window.CartAPI.cart;
+    let itemCount = cart.item_count;
+    let totalPrice = cart.total_price;
+
+    const items = cart.items.map(item => {
+      if (!this.optimistic.has(item.key)) return item;
+
+      const quantity = this.optimistic.get(item.key);
+
+      // Volume pricing can move the line to another price tier
+      const tiers = document.querySelector(`[data-cart-item][data-key="${CSS.escape(item.key)}"] volume-pricing`);
+      const unitPrice = tiers?.getPrice ? tiers.getPrice(quantity) : item.final_price;
+      const linePrice = unitPrice * quantity;
+
+      itemCount += quantity - item.quantity;
+      totalPrice += linePrice - item.final_line_price;
+
+      return {
+        ...item,
+        quantity,
+        final_line_price: linePrice,
+        original_line_price: item.original_price * quantity
+      };
+    });
+
+    return { ...cart, items, item_count: itemCount, total_price: totalPrice };
+  }
+
+  /**
+   * Revert an optimistic update
+   * Drops the edit and renders the confirmed cart with the edits still
+   * pending, so other lines keep their optimistic state
+   * @param {object} snapshot - Snapshot returned by applyOptimistic()
+   * @param {Error} error - Error that caused the rollback
+   */
+  rollback(snapshot, error) {
+    if (!snapshot) return;
+
+    // A later edit of the same line has replaced this one
+    if (this.optimistic.get(snapshot.key) === snapshot.quantity) {
+      this.optimistic.delete(snapshot.key);
+    }
+
+    const cart = this.getLocalCart();
+    this.renderLocal(cart);
+
+    window.CartEvents.publish('cart:rollback', { cart, key: snapshot.key, error });
+  }
+
+  /**
+   * Write quantities, line prices, total and count from local cart data to the DOM
+   * Uses the same markup as the cart sections, which replace it on 'cart:update'
+   * @param {object} cart - Cart data in cart.js format
+   */
+  renderLocal(cart) {
+    cart.items.forEach(item => {
+      document.querySelectorAll(`[data-cart-item][data-key="${CSS.escape(item.key)}"]`).forEach(element => {
+        element.hidden = item.quantity === 0;
+
+        const input = element.querySelector('cart-quantity-input input');
+        if (input && document.activeElement !== input) {
+          input.value = item.quantity;
+        }
+
+        const total = element.querySelector('[data-cart-item-total]');
+        if (total) renderLineTotal(total, item);
+      });
+    });
+
+    document.querySelectorAll('[data-cart-total]').forEach(element => {
+      element.textContent = window.themeMoney.format(cart.total_price, { withCurrency: true });
+    });
+
+    updateCartCount(cart.item_count);
+  }
+}
+
+/**
+ * Render a line total like html-cart-items does: compare-at and sale price
+ * when the line is discounted, the plain price otherwise
+ * @param {HTMLElement} element - [data-cart-item-total] element
+ * @param {object} item - Cart line in cart.js format
+ */
+function renderLineTotal(element, item) {
+  if (item.original_line_price !== item.final_line_price) {
+    const compare = document.createElement('s');
+    compare.className = 'cart-item-product__total-compare';
+    compare.textContent = window.themeMoney.format(item.original_line_price);
+
+    const sale = document.createElement('strong');
+    sale.className = 'cart-item-product__total-sale';
+    sale.textContent = window.themeMoney.format(item.final_line_price);
+
+    element.replaceChildren(compare, sale);
+  } else {
+    const price = document.createElement('span');
+    price.textContent = window.themeMoney.format(item.original_line_price);
+    element.replaceChildren(price);
+  }
+}
+
+/**
+ * Update the cart count badges, hiding them when the cart is empty
+ * @param {number} count - Cart item count
+ */
+function updateCartCount(count) {
+  document.querySelectorAll('[data-cart-count]').forEach(badge => {
+    badge.textContent = count;
+    badge.style.display = count > 0 ? '' : 'none';
+  });
 }
 
 // Global cart updater
 window.CartUpdater = new CartUpdater();
 
+// Confirmed carts include every optimistic edit made before them
+window.CartEvents.subscribe('cart:update', (data) => {
+  if (!data.remote) window.CartUpdater.optimistic.clear();
+});
+
 /**
  * Cart API wrapper - handles all cart operations
+ * Mutations (add, change, update, note, clear) run through a single ordered
+ * queue so rapid edits never race each other on the server
  */
 class CartAPI {
+  constructor() {
+    this.queue = [];
+    this.isProcessing = false;
+    this.lastUpdate = null;
+    this.cart = null;
+    this.validation = null;
+    this.validating = null;
+    this.products = new Map();
+  }
+
   /**
-   * Add item to cart
-   * @param {object} data - Item data (id, quantity, properties, etc.)
-   * @returns {object} Updated cart data
+   * Queue a cart mutation
+   * Adjacent change calls on the same line (by key, or by line number for
+   * callers that still send one) that have not started yet are merged, since
+   * the last requested quantity wins anyway
+   * @param {string} action - Action name ('add' | 'change' | 'update' | 'note' | 'clear')
+   * @param {object} data - Request payload
+   * @param {function} task - Performs the request, receives the (merged) payload
+   * @returns {Promise<object>} Updated cart data
    */
-  async add(data) {
-    window.CartEvents.publish('cart:loading', { action: 'add' });
+  enqueue(action, data, task) {
+    // The first job in the queue is already in flight and can't be merged
+    const last = this.queue.length > 1 ? this.queue[this.queue.length - 1] : null;
 
-    try {
-      const response = await fetch(window.Shopify.routes.root + 'cart/add.js', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'X-Requested-With': 'XMLHttpRequest'
-        },
-        body: JSON.stringify(data)
-      });
+    if (action === 'change' && last && last.action === 'change' && this.isSameLine(last.data, data)) {
+      last.data = { ...last.data, ...data };
+      return last.promise;
+    }
 
-      if (!response.ok) {
-        const error = await response.json();
-        throw new Error(error.description || 'Failed to add item to cart');
+    const job = { action, data, task };
+    job.promise = new Promise((resolve, reject) => {
+      job.resolve = resolve;
+      job.reject = reject;
+    });
+
+    this.queue.push(job);
+    this.processQueue();
+
+    return job.promise;
+  }
+
+  /**
+   * Run the before-hooks for a mutation
+   * @param {string} action - 'add' | 'change' | 'update'
+   * @param {object} payload - Request payload
+   * @returns {Promise<object>} Payload after all hooks ran
+   * @throws {Error} When a hook cancels or rejects the operation
+   */
+  async runBeforeHooks(action, payload) {
+    const event = {
+      action,
+      payload,
+      cancelled: false,
+      reason: null,
+      cancel(reason) {
+        this.cancelled = true;
+        this.reason = reason;
       }
+    };
 
-      const result = await response.json();
-      
-      // Get updated cart data
-      const cartData = await this.get();
-      
-      window.CartEvents.publish('cart:add', { item: result, cart: cartData });
-      window.CartEvents.publish('cart:update', { cart: cartData, action: 'add' });
+    await window.CartEvents.publishAsync(`cart:before-${action}`, event);
 
-      return cartData;
-    } catch (error) {
-      console.error('Add to cart failed:', error);
-      window.CartEvents.publish('cart:error', { error, action: 'add' });
+    if (event.cancelled) {
+      const error = new Error(event.reason || 'Cart operation cancelled');
+      error.cancelled = true;
       throw error;
     }
+
+    return event.payload;
   }
 
   /**
-   * Update cart item quantity
-   * @param {object} data - Update data (line, quantity)
-   * @returns {object} Updated cart data
+   * Add the cart section IDs to a mutation payload
+   * Shopify then returns the rendered sections with the response, saving a request
+   * @param {object} payload - Request payload
+   * @returns {object} Payload with sections and sections_url when there are any
+   */
+  withSections(payload) {
+    const sections = window.CartUpdater.getSectionIds();
+    if (sections.length === 0) return payload;
+
+    return {
+      ...payload,
+      sections: sections.join(','),
+      sections_url: window.location.pathname
+    };
+  }
+
+  /**
+   * Check if two change payloads target the same cart line
+   * @param {object} a - First payload
+   * @param {object} b - Second payload
+   * @returns {boolean}
    */
-  async change(data) {
-    window.CartEvents.publish('cart:loading', { action: 'change' });
+  isSameLine(a, b) {
+    const keyA = a.id !== undefined ? `id:${a.id}` : `line:${a.line}`;
+    const keyB = b.id !== undefined ? `id:${b.id}` : `line:${b.line}`;
+    return keyA === keyB;
+  }
 
-    try {
-      const response = await fetch(window.Shopify.routes.root + 'cart/change.js', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'X-Requested-With': 'XMLHttpRequest'
-        },
-        body: JSON.stringify(data)
-      });
+  /**
+   * Run queued mutations one after another
+   * 'cart:update' is published once the queue is drained, with the cart
+   * state returned by the last successful mutation
+   */
+  async processQueue() {
+    if (this.isProcessing) return;
+    this.isProcessing = true;
 
-      if (!response.ok) {
-        const error = await response.json();
-        throw new Error(error.description || 'Failed to update cart');
+    while (this.queue.length > 0) {
+      const job = this.queue[0];
+
+      try {
+        const cartData = await job.task(job.data);
+        this.cart = cartData;
+        this.lastUpdate = { cart: cartData, action: job.action };
+        job.resolve(cartData);
+      } catch (error) {
+        job.reject(error);
       }
 
-      const cartData = await response.json();
-      
-      window.CartEvents.publish('cart:change', { cart: cartData, line: data.line, quantity: data.quantity });
-      window.CartEvents.publish('cart:update', { cart: cartData, action: 'change' });
+      this.queue.shift();
 
-      return cartData;
-    } catch (error) {
-      console.error('Cart change failed:', error);
-      window.CartEvents.publish('cart:error', { error, action: 'change' });
-      throw error;
+      if (this.queue.length === 0 && this.lastUpdate) {
+        const update = this.lastUpdate;
+        this.lastUpdate = null;
+        window.CartEvents.publish('cart:update', update);
+      }
     }
+
+    this.isProcessing = false;
+  }
+
+  /**
+   * Add item to cart
+   * @param {object} data - Item data (id, quantity, properties, etc.)
+   * @returns {object} Updated cart data
+   */
+  add(data) {
+    return this.enqueue('add', data, async (payload) => {
+      window.CartEvents.publish('cart:loading', { action: 'add' });
+
+      try {
+        payload = await this.runBeforeHooks('add', payload);
+
+        const response = await fetch(window.Shopify.routes.root + 'cart/add.js', {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            'X-Requested-With': 'XMLHttpRequest'
+          },
+          body: JSON.stringify(this.withSections(payload))
+        });
+
+        if (!response.ok) {
+          const error = await response.json();
+          throw new Error(error.description || 'Failed to add item to cart');
+        }
+
+        const { sections, ...result } = await response.json();
+        
+        // Get updated cart data, keeping the rendered sections like change.js does
+        const cartData = { ...await this.get(), sections };
+        
+        window.CartEvents.publish('cart:add', { item: result, cart: cartData });
+
+        return cartData;
+      } catch (error) {
+        console.error('Add to cart failed:', error);
+        window.CartEvents.publish('cart:error', { error, action: 'add' });
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * Update cart item quantity
+   * @param {object} data - Update data (id as line key, or line; quantity)
+   * @returns {object} Updated cart data
+   */
+  change(data) {
+    return this.enqueue('change', data, async (payload) => {
+      window.CartEvents.publish('cart:loading', { action: 'change' });
+
+      try {
+        payload = await this.runBeforeHooks('change', payload);
+
+        const response = await fetch(window.Shopify.routes.root + 'cart/change.js', {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            'X-Requested-With': 'XMLHttpRequest'
+          },
+          body: JSON.stringify(this.withSections(payload))
+        });
+
+        if (!response.ok) {
+          const error = await response.json();
+          throw new Error(error.description || 'Failed to update cart');
+        }
+
+        const cartData = await response.json();
+        
+        window.CartEvents.publish('cart:change', { cart: cartData, key: payload.id, line: payload.line, quantity: payload.quantity });
+
+        return cartData;
+      } catch (error) {
+        console.error('Cart change failed:', error);
+        window.CartEvents.publish('cart:error', { error, action: 'change' });
+        throw error;
+      }
+    });
   }
 
   /**
@@ -326,34 +656,144 @@ class CartAPI {
    * @param {object} updates - Updates object with line numbers as keys
    * @returns {object} Updated cart data
    */
-  async update(updates) {
-    window.CartEvents.publish('cart:loading', { action: 'update' });
+  update(updates) {
+    return this.enqueue('update', updates, async (payload) => {
+      window.CartEvents.publish('cart:loading', { action: 'update' });
+
+      try {
+        payload = await this.runBeforeHooks('update', payload);
+
+        const response = await fetch(window.Shopify.routes.root + 'cart/update.js', {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            'X-Requested-With': 'XMLHttpRequest'
+          },
+          body: JSON.stringify(this.withSections({ updates: payload }))
+        });
+
+        if (!response.ok) {
+          const error = await response.json();
+          throw new Error(error.description || 'Failed to update cart');
+        }
+
+        return await response.json();
+      } catch (error) {
+        console.error('Cart update failed:', error);
+        window.CartEvents.publish('cart:error', { error, action: 'update' });
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * Check every cart line against stock and quantity rules
+   * Re-fetches cart.js together with the live limits from the cart 'limits' view
+   * The limits are kept, so re-rendered sections can show the result again
+   * @returns {array} Issues: { line, key, quantity, allowed, reason, limit }
+   */
+  async validate() {
+    this.validating = Promise.all([this.get(), this.getLimits()]);
 
     try {
-      const response = await fetch(window.Shopify.routes.root + 'cart/update.js', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'X-Requested-With': 'XMLHttpRequest'
-        },
-        body: JSON.stringify({ updates })
+      const [cart, limits] = await this.validating;
+      this.validation = { limits };
+
+      const issues = this.getIssues(cart);
+      window.CartEvents.publish('cart:validated', { cart, issues });
+
+      return issues;
+    } finally {
+      this.validating = null;
+    }
+  }
+
+  /**
+   * Check a cart against the limits of the last validate(), without a request
+   * @param {object} cart - Cart data
+   * @returns {array} Issues, empty before the first validate()
+   */
+  getIssues(cart) {
+    const limits = this.validation?.limits;
+    if (!limits || !cart) return [];
+
+    const issues = [];
+
+    cart.items.forEach((item, index) => {
+      const limit = limits[item.key];
+      const reason = limit ? this.getLimitIssue(item.quantity, limit) : null;
+      if (!reason) return;
+
+      issues.push({
+        line: index + 1,
+        key: item.key,
+        quantity: item.quantity,
+        allowed: this.getAllowedQuantity(item.quantity, limit),
+        reason,
+        limit
       });
+    });
 
-      if (!response.ok) {
-        const error = await response.json();
-        throw new Error(error.description || 'Failed to update cart');
-      }
+    return issues;
+  }
 
-      const cartData = await response.json();
-      
-      window.CartEvents.publish('cart:update', { cart: cartData, action: 'update' });
+  /**
+   * Get stock and quantity rules for every cart line
+   * @returns {object} Limits keyed by line key
+   */
+  async getLimits() {
+    const response = await fetch(window.Shopify.routes.root + 'cart?view=limits', {
+      headers: {
+        'X-Requested-With': 'XMLHttpRequest'
+      }
+    });
 
-      return cartData;
-    } catch (error) {
-      console.error('Cart update failed:', error);
-      window.CartEvents.publish('cart:error', { error, action: 'update' });
-      throw error;
+    if (!response.ok) {
+      throw new Error('Failed to fetch cart limits');
     }
+
+    const { items } = await response.json();
+    return Object.fromEntries(items.map(item => [item.key, item]));
+  }
+
+  /**
+   * Find why a quantity breaks a line's limits
+   * @param {number} quantity - Quantity in the cart
+   * @param {object} limit - { available, min, max, increment }
+   * @returns {string|null} 'sold_out' | 'stock' | 'max' | 'min' | 'increment', or null when valid
+   */
+  getLimitIssue(quantity, limit) {
+    if (limit.available !== null && limit.available <= 0) return 'sold_out';
+    if (limit.available !== null && quantity > limit.available) return 'stock';
+    if (limit.max && quantity > limit.max) return 'max';
+    if (quantity < limit.min) return 'min';
+    if (quantity % limit.increment !== 0) return 'increment';
+    return null;
+  }
+
+  /**
+   * Get the closest valid quantity for a line
+   * @param {number} quantity - Quantity in the cart
+   * @param {object} limit - { available, min, max, increment }
+   * @returns {number} Valid quantity, 0 when the line can't be bought
+   */
+  getAllowedQuantity(quantity, limit) {
+    let max = limit.max || Infinity;
+    if (limit.available !== null) max = Math.min(max, limit.available);
+
+    let allowed = Math.min(Math.max(quantity, limit.min), max);
+    allowed -= allowed % limit.increment;
+
+    return allowed >= limit.min ? allowed : 0;
+  }
+
+  /**
+   * Set lines to their allowed quantities in one update
+   * @param {array} issues - Issues from validate()
+   * @returns {object} Updated cart data
+   */
+  adjustQuantities(issues) {
+    return this.update(Object.fromEntries(issues.map(issue => [issue.key, issue.allowed])));
   }
 
   /**
@@ -372,7 +812,8 @@ class CartAPI {
         throw new Error('Failed to fetch cart data');
       }
 
-      return await response.json();
+      this.cart = await response.json();
+      return this.cart;
     } catch (error) {
       console.error('Get cart failed:', error);
       throw error;
@@ -384,275 +825,2589 @@ class CartAPI {
    * @param {string} note - Cart note text
    * @returns {object} Updated cart data
    */
-  async updateNote(note) {
-    window.CartEvents.publish('cart:loading', { action: 'note' });
+  updateNote(note) {
+    return this.enqueue('note', { note }, async (payload) => {
+      window.CartEvents.publish('cart:loading', { action: 'note' });
 
-    try {
-      const response = await fetch(window.Shopify.routes.root + 'cart/update.js', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'X-Requested-With': 'XMLHttpRequest'
-        },
-        body: JSON.stringify({ note })
-      });
+      try {
+        const response = await fetch(window.Shopify.routes.root + 'cart/update.js', {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            'X-Requested-With': 'XMLHttpRequest'
+          },
+          body: JSON.stringify(payload)
+        });
 
-      if (!response.ok) {
-        throw new Error('Failed to update cart note');
-      }
+        if (!response.ok) {
+          throw new Error('Failed to update cart note');
+        }
 
-      const cartData = await response.json();
-      
-      window.CartEvents.publish('cart:note', { cart: cartData, note });
-      window.CartEvents.publish('cart:update', { cart: cartData, action: 'note' });
+        const cartData = await response.json();
+        
+        window.CartEvents.publish('cart:note', { cart: cartData, note: payload.note });
 
-      return cartData;
-    } catch (error) {
-      console.error('Update cart note failed:', error);
-      window.CartEvents.publish('cart:error', { error, action: 'note' });
-      throw error;
+        return cartData;
+      } catch (error) {
+        console.error('Update cart note failed:', error);
+        window.CartEvents.publish('cart:error', { error, action: 'note' });
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * Update cart attributes
+   * Only the given attributes change; an empty value removes an attribute
+   * @param {object} attributes - Attribute names and values
+   * @returns {object} Updated cart data
+   */
+  updateAttributes(attributes) {
+    return this.enqueue('attributes', { attributes }, async (payload) => {
+      window.CartEvents.publish('cart:loading', { action: 'attributes' });
+
+      try {
+        const response = await fetch(window.Shopify.routes.root + 'cart/update.js', {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            'X-Requested-With': 'XMLHttpRequest'
+          },
+          body: JSON.stringify(payload)
+        });
+
+        if (!response.ok) {
+          throw new Error('Failed to update cart attributes');
+        }
+
+        const cartData = await response.json();
+
+        window.CartEvents.publish('cart:attributes', { cart: cartData, attributes: payload.attributes });
+
+        return cartData;
+      } catch (error) {
+        console.error('Update cart attributes failed:', error);
+        window.CartEvents.publish('cart:error', { error, action: 'attributes' });
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * Apply a discount code, keeping codes that are already applied (stacking)
+   * @param {string} code - Discount code
+   * @returns {object} Updated cart data
+   * @throws {Error} With code 'discount_empty', 'discount_invalid' or 'discount_not_applicable'
+   */
+  applyDiscount(code) {
+    code = String(code || '').trim();
+
+    if (!code) {
+      const error = new Error('Discount code is empty');
+      error.code = 'discount_empty';
+      return Promise.reject(error);
+    }
+
+    return this.enqueue('discount', { code }, async (payload) => {
+      window.CartEvents.publish('cart:loading', { action: 'discount' });
+
+      try {
+        const previous = this.getDiscountCodes(await this.get());
+        const codes = previous.filter(existing => existing.toLowerCase() !== payload.code.toLowerCase());
+        const cartData = await this.requestDiscounts([...codes, payload.code]);
+
+        const applied = (cartData.discount_codes || [])
+          .find(discount => discount.code.toLowerCase() === payload.code.toLowerCase());
+
+        if (!applied || !applied.applicable) {
+          // Keep the stack limited to codes that actually apply
+          await this.requestDiscounts(previous);
+
+          const error = new Error(applied ? 'Discount code is not applicable' : 'Discount code is invalid');
+          error.code = applied ? 'discount_not_applicable' : 'discount_invalid';
+          throw error;
+        }
+
+        window.CartEvents.publish('cart:discount', { cart: cartData, code: payload.code, applied: true });
+
+        return cartData;
+      } catch (error) {
+        console.error('Apply discount failed:', error);
+        window.CartEvents.publish('cart:error', { error, action: 'discount' });
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * Remove a discount code, or all codes when none is given
+   * @param {string} code - Discount code (optional)
+   * @returns {object} Updated cart data
+   * @throws {Error} With code 'discount_empty' when a blank code is given
+   */
+  removeDiscount(code = null) {
+    if (code !== null) {
+      code = String(code).trim();
+
+      // A blank code must not fall through to "remove all"
+      if (!code) {
+        const error = new Error('Discount code is empty');
+        error.code = 'discount_empty';
+        return Promise.reject(error);
+      }
+    }
+
+    return this.enqueue('discount', { code }, async (payload) => {
+      window.CartEvents.publish('cart:loading', { action: 'discount' });
+
+      try {
+        const codes = payload.code
+          ? this.getDiscountCodes(await this.get()).filter(existing => existing.toLowerCase() !== payload.code.toLowerCase())
+          : [];
+        const cartData = await this.requestDiscounts(codes);
+
+        window.CartEvents.publish('cart:discount', { cart: cartData, code: payload.code, applied: false });
+
+        return cartData;
+      } catch (error) {
+        console.error('Remove discount failed:', error);
+        window.CartEvents.publish('cart:error', { error, action: 'discount' });
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * Get the discount codes currently applied to a cart
+   * @param {object} cart - Cart data
+   * @returns {array} Codes
+   */
+  getDiscountCodes(cart) {
+    return (cart.discount_codes || []).map(discount => discount.code);
+  }
+
+  /**
+   * Replace the cart's discount codes
+   * @param {array} codes - Codes to keep on the cart
+   * @returns {object} Updated cart data
+   */
+  async requestDiscounts(codes) {
+    const response = await fetch(window.Shopify.routes.root + 'cart/update.js', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Requested-With': 'XMLHttpRequest'
+      },
+      body: JSON.stringify(this.withSections({ discount: codes.join(',') }))
+    });
+
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(error.description || 'Failed to update discount codes');
+    }
+
+    return await response.json();
+  }
+
+  /**
+   * Swap the variant of a cart line, keeping quantity, properties and position
+   * Runs as one queued operation. add.js puts new lines at the top of the
+   * cart, so the swapped line and the lines above it are taken off with
+   * update.js and added back in order with the new variant in its place.
+   * When the add fails, the lines that were taken off are added back.
+   * A variant that is already in the cart merges into that line instead.
+   * @param {object} data - { line, id } where id is the new variant ID
+   * @returns {object} Updated cart data
+   * @throws {Error} With code 'variant_unavailable' when the variant can't be bought
+   */
+  swapVariant(data) {
+    return this.enqueue('swap', data, async (payload) => {
+      window.CartEvents.publish('cart:loading', { action: 'swap' });
+
+      const post = (path, body) => fetch(window.Shopify.routes.root + path, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'X-Requested-With': 'XMLHttpRequest'
+        },
+        body: JSON.stringify(body)
+      });
+
+      try {
+        const cart = await this.get();
+        const index = payload.line - 1;
+        const item = cart.items[index];
+        if (!item) throw new Error('Cart line not found');
+
+        const product = await this.getProduct(item.handle);
+        const variant = product.variants.find(v => v.id === parseInt(payload.id));
+
+        if (!variant || !variant.available) {
+          const error = new Error('Variant is not available');
+          error.code = 'variant_unavailable';
+          throw error;
+        }
+
+        const above = cart.items.slice(0, index).map(line => this.toLineItem(line));
+        const previous = this.toLineItem(item);
+        const replacement = { ...previous, id: variant.id };
+        const { items: replacements } = await this.runBeforeHooks('add', { items: [replacement] });
+
+        const removed = cart.items.slice(0, index + 1);
+        const removeResponse = await post('cart/update.js', {
+          updates: Object.fromEntries(removed.map(line => [line.key, 0]))
+        });
+        if (!removeResponse.ok) throw new Error('Failed to update cart');
+
+        const response = await this.addLines([...above, ...replacements], true);
+
+        if (!response.ok) {
+          const error = await response.json();
+          const restoreResponse = await this.addLines([...above, previous]);
+
+          if (!restoreResponse.ok) {
+            console.error('Restoring the swapped lines failed:', await restoreResponse.json());
+          }
+
+          throw new Error(error.description || 'Failed to update cart');
+        }
+
+        const { sections } = await response.json();
+        const cartData = { ...await this.get(), sections };
+
+        window.CartEvents.publish('cart:swap', { cart: cartData, line: payload.line, from: item.variant_id, to: variant.id });
+
+        return cartData;
+      } catch (error) {
+        console.error('Variant swap failed:', error);
+        window.CartEvents.publish('cart:error', { error, action: 'swap' });
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * Add lines with add.js, keeping their order
+   * add.js puts every new line at the top of the cart, the last item of a
+   * request first, so the items are posted in reverse
+   * @param {array} items - Items in add.js format, in cart order
+   * @param {boolean} sections - Ask for the rendered cart sections as well
+   * @returns {Promise<Response>} The add.js response
+   */
+  addLines(items, sections = false) {
+    const payload = { items: [...items].reverse() };
+
+    return fetch(window.Shopify.routes.root + 'cart/add.js', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Requested-With': 'XMLHttpRequest'
+      },
+      body: JSON.stringify(sections ? this.withSections(payload) : payload)
+    });
+  }
+
+  /**
+   * Get product data from /products/<handle>.js
+   * @param {string} handle - Product handle
+   * @returns {object} Product data
+   */
+  async getProduct(handle) {
+    if (!this.products.has(handle)) {
+      const request = fetch(`${window.Shopify.routes.root}products/${handle}.js`)
+        .then(response => {
+          if (!response.ok) throw new Error('Failed to fetch product data');
+          return response.json();
+        });
+
+      this.products.set(handle, request);
+      request.catch(() => this.products.delete(handle));
+    }
+
+    return this.products.get(handle);
+  }
+
+  /**
+   * Convert a cart.js line to an add.js item
+   * @param {object} item - Cart line
+   * @returns {object} Item with id, quantity, properties and selling plan
+   */
+  toLineItem(item) {
+    const lineItem = {
+      id: item.variant_id,
+      quantity: item.quantity,
+      properties: item.properties || {}
+    };
+
+    if (item.selling_plan_allocation) {
+      lineItem.selling_plan = item.selling_plan_allocation.selling_plan.id;
+    }
+
+    return lineItem;
+  }
+
+  /**
+   * Replace all cart lines
+   * Both the new and the previous lines keep their order (see addLines)
+   * Re-adds the previous lines when adding the new ones fails
+   * @param {array} items - Items the cart should hold
+   * @param {array} previousItems - Items to restore on failure
+   * @returns {object} Updated cart data
+   * @throws {Error} With restoreFailed set when the previous lines couldn't be added back
+   */
+  async replaceItems(items, previousItems) {
+    const clearResponse = await fetch(window.Shopify.routes.root + 'cart/clear.js', {
+      method: 'POST',
+      headers: {
+        'X-Requested-With': 'XMLHttpRequest'
+      }
+    });
+    if (!clearResponse.ok) throw new Error('Failed to update cart');
+
+    const response = await this.addLines(items, true);
+
+    if (!response.ok) {
+      const error = new Error((await response.json()).description || 'Failed to update cart');
+      const restoreResponse = await this.addLines(previousItems);
+
+      if (!restoreResponse.ok) {
+        console.error('Restoring the previous cart failed:', await restoreResponse.json());
+        error.restoreFailed = true;
+      }
+
+      throw error;
     }
+
+    const { sections } = await response.json();
+    return { ...await this.get(), sections };
   }
 
   /**
    * Clear cart (set all quantities to 0)
    * @returns {object} Updated cart data
    */
-  async clear() {
-    window.CartEvents.publish('cart:loading', { action: 'clear' });
+  clear() {
+    return this.enqueue('clear', {}, async () => {
+      window.CartEvents.publish('cart:loading', { action: 'clear' });
+
+      try {
+        const response = await fetch(window.Shopify.routes.root + 'cart/clear.js', {
+          method: 'POST',
+          headers: {
+            'X-Requested-With': 'XMLHttpRequest'
+          }
+        });
+
+        if (!response.ok) {
+          throw new Error('Failed to clear cart');
+        }
+
+        return await this.get();
+      } catch (error) {
+        console.error('Clear cart failed:', error);
+        window.CartEvents.publish('cart:error', { error, action: 'clear' });
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * Export the current cart as a signed token
+   * Holds variants, quantities, properties, selling plans, note and discount
+   * codes. The cart 'share' view builds and signs it, so the share key stays
+   * on the server.
+   * @returns {string} Token for /cart?restore=<token>
+   * @throws {Error} With code 'share_unavailable' when no share key is set
+   */
+  async exportCart() {
+    const response = await fetch(window.Shopify.routes.root + 'cart?view=share', {
+      headers: {
+        'X-Requested-With': 'XMLHttpRequest'
+      }
+    });
+
+    if (!response.ok) {
+      throw new Error('Failed to export cart');
+    }
+
+    const { token } = await response.json();
+
+    if (!token) {
+      const error = new Error('Cart links are not available');
+      error.code = 'share_unavailable';
+      throw error;
+    }
+
+    return token;
+  }
+
+  /**
+   * Get a shareable cart page URL for the current cart
+   * @returns {string} Absolute URL
+   */
+  async getShareUrl() {
+    const url = new URL(window.Shopify.routes.root + 'cart', window.location.origin);
+    url.searchParams.set('restore', await this.exportCart());
+    return url.toString();
+  }
+
+  /**
+   * Check and decode a cart token
+   * The signature is checked by the search 'cart-share' view, which holds
+   * the share key; only the decoded lines are checked here
+   * @param {string} token - Token from exportCart
+   * @returns {object} { items, note, discounts } with items in add.js format
+   * @throws {Error} With code 'restore_invalid' when the token is damaged, edited or unsigned
+   */
+  async readToken(token) {
+    const invalid = () => {
+      const error = new Error('Cart link is invalid');
+      error.code = 'restore_invalid';
+      return error;
+    };
+
+    token = String(token || '');
+    if (!/^[\w-]+\.[0-9a-f]{24}$/.test(token)) throw invalid();
+
+    const response = await fetch(`${window.Shopify.routes.root}search?view=cart-share&q=${encodeURIComponent(token)}`, {
+      headers: {
+        'X-Requested-With': 'XMLHttpRequest'
+      }
+    });
+
+    if (!response.ok) {
+      throw new Error('Failed to check cart link');
+    }
+
+    const { valid } = await response.json();
+    if (!valid) throw invalid();
+
+    const [payload] = token.split('.');
+
+    let data;
+    try {
+      data = JSON.parse(new TextDecoder().decode(decodeBase64Url(payload)));
+    } catch (error) {
+      throw invalid();
+    }
+
+    const [version, lines, note = '', discounts = []] = Array.isArray(data) ? data : [];
+    if (version !== 1 || !Array.isArray(lines) || lines.length === 0 || !lines.every(CartAPI.isTokenLine)) throw invalid();
+    if (typeof note !== 'string' || !Array.isArray(discounts) || !discounts.every(code => typeof code === 'string')) throw invalid();
+
+    const items = lines.map(([id, quantity, properties, sellingPlan]) => {
+      const item = { id, quantity, properties: properties || {} };
+      if (sellingPlan) item.selling_plan = sellingPlan;
+      return item;
+    });
+
+    return { items, note, discounts };
+  }
+
+  /**
+   * Check the shape of a token line: [variant ID, quantity, properties?, selling plan ID?]
+   * @param {*} line - Decoded line
+   * @returns {boolean}
+   */
+  static isTokenLine(line) {
+    if (!Array.isArray(line) || line.length < 2 || line.length > 4) return false;
+
+    const [id, quantity, properties = {}, sellingPlan = null] = line;
+    const isId = value => Number.isSafeInteger(value) && value > 0;
+    const isProperties = value => value !== null && typeof value === 'object' && !Array.isArray(value)
+      && Object.values(value).every(property => typeof property === 'string');
+
+    return isId(id) && isId(quantity) && isProperties(properties) && (sellingPlan === null || isId(sellingPlan));
+  }
+
+  /**
+   * Rebuild a cart from a token
+   * 'replace' swaps out the current lines, note and codes; 'merge' adds the
+   * lines to the cart, appends the note and stacks the discount codes
+   * @param {string} token - Token from exportCart
+   * @param {string} mode - 'merge' | 'replace'
+   * @returns {object} Updated cart data
+   * @throws {Error} With code 'restore_invalid' when the token can't be read
+   */
+  restoreCart(token, mode = 'replace') {
+    return this.enqueue('restore', { token, mode }, async (payload) => {
+      window.CartEvents.publish('cart:loading', { action: 'restore' });
+
+      try {
+        const data = await this.readToken(payload.token);
+        const cart = await this.get();
+        const { items } = await this.runBeforeHooks('add', { items: data.items });
+
+        let note = data.note;
+        let discounts = data.discounts;
+
+        if (payload.mode === 'merge') {
+          const response = await this.addLines(items);
+
+          if (!response.ok) {
+            const error = await response.json();
+            throw new Error(error.description || 'Failed to restore cart');
+          }
+
+          note = [...new Set([cart.note, data.note].filter(Boolean))].join('\n\n');
+          discounts = [...new Set([...this.getDiscountCodes(cart), ...data.discounts])];
+        } else {
+          await this.replaceItems(items, cart.items.map(item => this.toLineItem(item)));
+        }
+
+        const response = await fetch(window.Shopify.routes.root + 'cart/update.js', {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            'X-Requested-With': 'XMLHttpRequest'
+          },
+          body: JSON.stringify(this.withSections({ note, discount: discounts.join(',') }))
+        });
+
+        if (!response.ok) {
+          throw new Error('Failed to restore cart');
+        }
+
+        const cartData = await response.json();
+
+        window.CartEvents.publish('cart:restore', { cart: cartData, mode: payload.mode });
+
+        return cartData;
+      } catch (error) {
+        console.error('Restore cart failed:', error);
+        window.CartEvents.publish('cart:error', { error, action: 'restore' });
+        throw error;
+      }
+    });
+  }
+}
+
+/**
+ * Decode a base64url string
+ * @param {string} value - Encoded string
+ * @returns {Uint8Array}
+ */
+function decodeBase64Url(value) {
+  const binary = atob(value.replace(/-/g, '+').replace(/_/g, '/'));
+  return Uint8Array.from(binary, char => char.charCodeAt(0));
+}
+
+// Global cart API
+window.CartAPI = new CartAPI();
+
+/**
+ * Cart sync - keeps the cart in sync across open tabs
+ * Local 'cart:update' events are broadcast to other tabs, which re-publish
+ * them with remote: true so every subscriber refreshes without echoing back
+ */
+class CartSync {
+  constructor() {
+    this.channelName = 'theme-cart';
+    this.storageKey = 'theme_cart_sync';
+    this.channel = 'BroadcastChannel' in window ? new BroadcastChannel(this.channelName) : null;
+
+    window.CartEvents.subscribe('cart:update', this.broadcast.bind(this));
+
+    if (this.channel) {
+      this.channel.addEventListener('message', (event) => this.receive(event.data));
+    } else {
+      window.addEventListener('storage', this.handleStorage.bind(this));
+    }
+
+    document.addEventListener('visibilitychange', this.handleVisibilityChange.bind(this));
+  }
+
+  /**
+   * Send a local cart update to other tabs
+   * @param {object} data - 'cart:update' event data
+   */
+  broadcast(data) {
+    if (!data || data.remote || !data.cart) return;
+
+    // Rendered sections belong to this tab's page, other tabs fetch their own
+    const { sections, ...cart } = data.cart;
+    const message = { cart, action: data.action, timestamp: Date.now() };
+
+    try {
+      if (this.channel) {
+        this.channel.postMessage(message);
+      } else {
+        localStorage.setItem(this.storageKey, JSON.stringify(message));
+      }
+    } catch (error) {
+      console.error('Cart sync broadcast failed:', error);
+    }
+  }
+
+  /**
+   * Handle the storage event fallback
+   * @param {StorageEvent} event
+   */
+  handleStorage(event) {
+    if (event.key !== this.storageKey || !event.newValue) return;
+
+    try {
+      this.receive(JSON.parse(event.newValue));
+    } catch (error) {
+      console.error('Cart sync message invalid:', error);
+    }
+  }
+
+  /**
+   * Apply a cart update from another tab
+   * @param {object} message - Broadcast message
+   */
+  receive(message) {
+    if (!message?.cart) return;
+
+    window.CartAPI.cart = message.cart;
+    window.CartEvents.publish('cart:update', { cart: message.cart, action: message.action, remote: true });
+  }
+
+  /**
+   * Re-check the cart when the tab becomes visible again
+   * Catches changes made while this tab's scripts were throttled or from another device
+   */
+  async handleVisibilityChange() {
+    if (document.visibilityState !== 'visible') return;
+
+    const known = window.CartAPI.cart;
+    if (!known) return;
+
+    try {
+      const cart = await window.CartAPI.get();
+
+      if (this.getSignature(cart) !== this.getSignature(known)) {
+        window.CartEvents.publish('cart:update', { cart, action: 'sync', remote: true });
+      }
+    } catch (error) {
+      console.error('Cart sync check failed:', error);
+    }
+  }
+
+  /**
+   * Build a comparable signature from cart contents
+   * @param {object} cart - Cart data
+   * @returns {string}
+   */
+  getSignature(cart) {
+    const lines = (cart.items || []).map(item => `${item.key}:${item.quantity}`);
+    return [cart.item_count, cart.total_price, cart.note || '', ...lines].join('|');
+  }
+}
+
+// Global cart sync
+window.CartSync = new CartSync();
+
+/**
+ * Saved for later - lines moved out of the cart into a persistent list
+ * Stored in localStorage; for logged-in customers the list is seeded from the
+ * customer metafield and synced to the configured endpoint on every change.
+ * Every entry carries an updated_at time and removed entries stay behind as
+ * markers for a while, so a list merged from two devices keeps the latest
+ * change per item instead of bringing removed items back.
+ */
+class CartSaved {
+  constructor() {
+    this.storageKey = 'theme_saved_for_later';
+    this.entries = null;
+  }
+
+  /**
+   * Get the saved list, loading it on first use
+   * @returns {array} Saved items, newest first
+   */
+  getItems() {
+    return this.getEntries().filter(entry => !entry.removed);
+  }
+
+  /**
+   * Get every entry, removal markers included
+   * The local and remote lists are merged per item, the latest change wins
+   * @returns {array} Entries, newest first
+   */
+  getEntries() {
+    if (this.entries) return this.entries;
+
+    let local = [];
+    try {
+      local = JSON.parse(localStorage.getItem(this.storageKey) || '[]');
+    } catch (error) {
+      local = [];
+    }
+
+    // Customer metafield rendered by Liquid, merged so guest saves aren't lost after login
+    let remote = [];
+    try {
+      remote = JSON.parse(document.querySelector('[data-saved-items]')?.textContent || '[]') || [];
+    } catch (error) {
+      remote = [];
+    }
+
+    const merged = new Map();
+    [...remote, ...local].forEach(entry => {
+      const signature = this.getSignature(entry);
+      const current = merged.get(signature);
+      if (!current || (entry.updated_at || 0) > (current.updated_at || 0)) {
+        merged.set(signature, entry);
+      }
+    });
+
+    const expired = Date.now() - CartSaved.markerAge;
+    this.entries = [...merged.values()]
+      .filter(entry => !entry.removed || entry.updated_at > expired)
+      .sort((a, b) => (b.updated_at || 0) - (a.updated_at || 0));
+
+    return this.entries;
+  }
+
+  /**
+   * Identify an item by variant and properties
+   * @param {object} item - Saved item
+   * @returns {string}
+   */
+  getSignature(item) {
+    return `${item.id}:${JSON.stringify(item.properties || {})}`;
+  }
+
+  /**
+   * Find a saved item with the same variant and properties
+   * @param {object} item - Saved item
+   * @returns {object|undefined}
+   */
+  find(item) {
+    const signature = this.getSignature(item);
+    return this.getItems().find(saved => this.getSignature(saved) === signature);
+  }
+
+  /**
+   * Move a cart line to the saved list
+   * Lines are addressed by key, so changes still queued in CartAPI can't
+   * shift the line that is saved and removed
+   * @param {string} key - Cart line key
+   * @returns {object} Updated cart data
+   */
+  async save(key) {
+    const cart = await window.CartAPI.get();
+    const cartItem = cart.items.find(item => item.key === key);
+    if (!cartItem) throw new Error('Cart line not found');
+
+    const cartData = await window.CartAPI.change({ id: key, quantity: 0 });
+
+    const item = {
+      id: cartItem.variant_id,
+      quantity: cartItem.quantity,
+      properties: cartItem.properties || {},
+      title: cartItem.product_title,
+      variant_title: cartItem.product_has_only_default_variant ? null : cartItem.variant_title,
+      image: cartItem.image,
+      price: cartItem.final_price,
+      url: cartItem.url
+    };
+
+    const existing = this.find(item);
+    if (existing) item.quantity += existing.quantity;
+    this.setEntry({ ...item, updated_at: Date.now() });
+
+    window.CartEvents.publish('cart:saved', { item, cart: cartData });
+
+    return cartData;
+  }
+
+  /**
+   * Move a saved item back to the cart
+   * @param {number} index - Index in the saved list
+   * @returns {object} Updated cart data
+   */
+  async restore(index) {
+    const item = this.getItems()[index];
+    if (!item) throw new Error('Saved item not found');
+
+    const cartData = await window.CartAPI.add({
+      items: [{ id: item.id, quantity: item.quantity, properties: item.properties }]
+    });
+
+    this.discard(item);
+
+    window.CartEvents.publish('cart:restored', { item, cart: cartData });
+
+    return cartData;
+  }
+
+  /**
+   * Remove a saved item without adding it to the cart
+   * @param {number} index - Index in the saved list
+   */
+  remove(index) {
+    const item = this.getItems()[index];
+    if (item) this.discard(item);
+  }
+
+  /**
+   * Replace an item with a removal marker
+   * @param {object} item - Saved item
+   */
+  discard(item) {
+    this.setEntry({ id: item.id, properties: item.properties || {}, removed: true, updated_at: Date.now() });
+  }
+
+  /**
+   * Put an entry at the top of the list, replacing the one for the same item
+   * @param {object} entry - Item or removal marker
+   */
+  setEntry(entry) {
+    const signature = this.getSignature(entry);
+    this.entries = [entry, ...this.getEntries().filter(saved => this.getSignature(saved) !== signature)];
+    this.persist();
+  }
+
+  /**
+   * Store the list locally and sync it for logged-in customers
+   * The endpoint is an app proxy: it must take the customer from the signed
+   * logged_in_customer_id parameter Shopify adds, never from the request body
+   */
+  persist() {
+    try {
+      localStorage.setItem(this.storageKey, JSON.stringify(this.entries));
+    } catch (error) {
+      console.error('Saving list failed:', error);
+    }
+
+    const syncUrl = document.querySelector('[data-saved-items]')?.dataset.syncUrl;
+    if (!syncUrl) return;
+
+    fetch(syncUrl, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Requested-With': 'XMLHttpRequest'
+      },
+      body: JSON.stringify({ items: this.entries })
+    }).catch(error => console.error('Saved list sync failed:', error));
+  }
+}
+
+// Removal markers are kept for 30 days, long enough for other devices to sync
+CartSaved.markerAge = 30 * 86400000;
+
+// Global saved-for-later list
+window.CartSaved = new CartSaved();
+
+/**
+ * Cart Remove Button Component
+ */
+class CartRemoveButton extends HTMLElement {
+  constructor() {
+    super();
+    this.addEventListener('click', this.handleClick.bind(this));
+  }
+
+  async handleClick(event) {
+    event.preventDefault();
+    
+    // By key: queued removals shift the line numbers until cart:update re-renders
+    const key = this.dataset.key;
+    const snapshot = window.CartUpdater.isOptimistic(this)
+      ? window.CartUpdater.applyOptimistic({ key, quantity: 0 })
+      : null;
+    
+    this.enableLoading();
+
+    try {
+      // cart:update re-renders the cart sections
+      const cartData = await window.CartAPI.change({
+        id: key,
+        quantity: 0
+      });
+
+      window.CartEvents.publish('cart:remove', { key, cart: cartData });
+    } catch (error) {
+      window.CartUpdater.rollback(snapshot, error);
+      this.showError(error.message);
+    } finally {
+      this.disableLoading();
+    }
+  }
+
+  enableLoading() {
+    this.classList.add('loading');
+    this.disabled = true;
+  }
+
+  disableLoading() {
+    this.classList.remove('loading');
+    this.disabled = false;
+  }
+
+  showError(message) {
+    // Error handling can be customized
+    console.error('Remove failed:', message);
+  }
+}
+
+customElements.define('cart-remove-button', CartRemoveButton);
+
+/**
+ * Cart Save Button Component
+ * Moves a line from the cart to the saved-for-later list
+ */
+class CartSaveButton extends HTMLElement {
+  constructor() {
+    super();
+    this.addEventListener('click', this.handleClick.bind(this));
+  }
+
+  async handleClick(event) {
+    event.preventDefault();
+    if (this.classList.contains('loading')) return;
+
+    this.classList.add('loading');
+
+    try {
+      await window.CartSaved.save(this.dataset.key);
+    } catch (error) {
+      console.error('Save for later failed:', error);
+    } finally {
+      this.classList.remove('loading');
+    }
+  }
+}
+
+customElements.define('cart-save-button', CartSaveButton);
+
+/**
+ * Cart Saved List Component
+ * Renders the saved-for-later list from its item template
+ */
+class CartSavedList extends HTMLElement {
+  connectedCallback() {
+    this.list = this.querySelector('[data-saved-list]');
+    this.template = this.querySelector('template[data-saved-item-template]');
+    this.render();
+
+    this.unsubscribers = ['cart:saved', 'cart:restored'].map(eventName =>
+      window.CartEvents.subscribe(eventName, () => this.render())
+    );
+
+    this.addEventListener('click', this.handleClick.bind(this));
+  }
+
+  disconnectedCallback() {
+    (this.unsubscribers || []).forEach(unsubscribe => unsubscribe());
+  }
+
+  render() {
+    if (!this.list || !this.template) return;
+
+    const items = window.CartSaved.getItems();
+    this.hidden = items.length === 0;
+    this.list.replaceChildren(...items.map((item, index) => this.renderItem(item, index)));
+  }
+
+  renderItem(item, index) {
+    const fragment = this.template.content.cloneNode(true);
+    const element = fragment.firstElementChild;
+    const link = element.querySelector('[data-saved-link]');
+    const image = element.querySelector('[data-saved-image]');
+
+    element.dataset.index = index;
+    element.querySelector('[data-saved-title]').textContent = item.title;
+    element.querySelector('[data-saved-variant]').textContent = item.variant_title || '';
+    element.querySelector('[data-saved-price]').innerHTML = window.themeMoney.formatHtml(item.price);
+    if (link) link.href = item.url;
+
+    if (image && item.image) {
+      image.src = item.image;
+      image.alt = item.title;
+    } else if (image) {
+      image.remove();
+    }
+
+    return element;
+  }
+
+  async handleClick(event) {
+    const restoreBtn = event.target.closest('[data-saved-restore]');
+    const removeBtn = event.target.closest('[data-saved-remove]');
+    const row = event.target.closest('[data-index]');
+    if (!row || (!restoreBtn && !removeBtn)) return;
+
+    event.preventDefault();
+    const index = parseInt(row.dataset.index);
+
+    if (removeBtn) {
+      window.CartSaved.remove(index);
+      document.querySelectorAll('cart-saved-list').forEach(list => list.render());
+      return;
+    }
+
+    restoreBtn.disabled = true;
+    row.classList.add('loading');
+
+    try {
+      await window.CartSaved.restore(index);
+    } catch (error) {
+      console.error('Move to cart failed:', error);
+      restoreBtn.disabled = false;
+      row.classList.remove('loading');
+    }
+  }
+}
+
+customElements.define('cart-saved-list', CartSavedList);
+
+/**
+ * Cart Quantity Input Component
+ */
+class CartQuantityInput extends HTMLElement {
+  constructor() {
+    super();
+    this.input = this.querySelector('input[type="number"]');
+    this.minusBtn = this.querySelector('[name="minus"]');
+    this.plusBtn = this.querySelector('[name="plus"]');
+    
+    this.debounceTimer = null;
+    
+    if (this.input) {
+      this.input.addEventListener('change', this.handleChange.bind(this));
+    }
+    
+    if (this.minusBtn) {
+      this.minusBtn.addEventListener('click', this.handleMinus.bind(this));
+    }
+    
+    if (this.plusBtn) {
+      this.plusBtn.addEventListener('click', this.handlePlus.bind(this));
+    }
+  }
+
+  async handleChange(event) {
+    clearTimeout(this.debounceTimer);
+    
+    this.debounceTimer = setTimeout(async () => {
+      const key = this.input.dataset.key;
+      
+      // Snap to the variant's quantity rules (min, max, increment)
+      const rule = window.themeQuantity.getRule(this.input);
+      const { quantity: newQuantity, reason } = window.themeQuantity.apply(this.input);
+
+      if (reason) {
+        this.showError(window.themeQuantity.getMessage(reason, rule));
+      }
+
+      // Optimistic mode keeps the controls usable, queued changes are merged by CartAPI
+      const snapshot = window.CartUpdater.isOptimistic(this)
+        ? window.CartUpdater.applyOptimistic({ key, quantity: newQuantity })
+        : null;
+
+      if (!snapshot) this.enableLoading();
+
+      try {
+        // cart:update re-renders the cart sections
+        await window.CartAPI.change({
+          id: key,
+          quantity: newQuantity
+        });
+      } catch (error) {
+        this.showError(error.message);
+
+        if (snapshot) {
+          window.CartUpdater.rollback(snapshot, error);
+        } else {
+          this.input.value = this.input.dataset.previousValue || rule.min;
+        }
+      } finally {
+        if (!snapshot) this.disableLoading();
+      }
+    }, 500);
+  }
+
+  handleMinus(event) {
+    event.preventDefault();
+    this.step(-1);
+  }
+
+  handlePlus(event) {
+    event.preventDefault();
+    this.step(1);
+  }
+
+  /**
+   * Move one increment, or explain the rule when the quantity can't change
+   * @param {number} direction - 1 or -1
+   */
+  step(direction) {
+    const previousValue = this.input.value;
+    const { reason } = window.themeQuantity.step(this.input, direction);
+
+    if (this.input.value !== previousValue) {
+      this.input.dispatchEvent(new Event('change'));
+    } else if (reason) {
+      this.showError(window.themeQuantity.getMessage(reason, window.themeQuantity.getRule(this.input)));
+    }
+  }
+
+  enableLoading() {
+    this.classList.add('loading');
+    this.input.disabled = true;
+    if (this.minusBtn) this.minusBtn.disabled = true;
+    if (this.plusBtn) this.plusBtn.disabled = true;
+  }
+
+  disableLoading() {
+    this.classList.remove('loading');
+    this.input.disabled = false;
+    if (this.minusBtn) this.minusBtn.disabled = false;
+    if (this.plusBtn) this.plusBtn.disabled = false;
+  }
+
+  showError(message) {
+    const errorElement = this.closest('[data-cart-item]')?.querySelector('[data-cart-item-error]');
+    if (errorElement) {
+      errorElement.textContent = message;
+      errorElement.style.display = 'block';
+      
+      setTimeout(() => {
+        errorElement.style.display = 'none';
+      }, 3000);
+    }
+  }
+}
+
+customElements.define('cart-quantity-input', CartQuantityInput);
+
+/**
+ * Cart Validation Component
+ * Shows stock and quantity-rule problems found by CartAPI.validate() on the
+ * affected lines until they're fixed, and offers to adjust them all at once
+ */
+class CartValidation extends HTMLElement {
+  constructor() {
+    super();
+    this.notice = this.querySelector('[data-validation-notice]');
+    this.adjustBtn = this.querySelector('[data-validation-adjust]');
+    this.issues = [];
+    this.onValidated = (data) => this.render(data.issues);
+
+    if (this.adjustBtn) {
+      this.adjustBtn.addEventListener('click', this.handleAdjust.bind(this));
+    }
+  }
+
+  connectedCallback() {
+    window.CartEvents.subscribe('cart:validated', this.onValidated);
+
+    // Every cart update re-renders the items, show the last result on the new lines
+    if (window.CartAPI.validation) {
+      this.render(window.CartAPI.getIssues(window.CartAPI.cart));
+    } else if (this.hasAttribute('data-validate-on-load') && !window.CartAPI.validating) {
+      window.CartAPI.validate().catch(error => console.error('Cart validation failed:', error));
+    }
+  }
+
+  disconnectedCallback() {
+    window.CartEvents.unsubscribe('cart:validated', this.onValidated);
+  }
+
+  render(issues) {
+    this.issues = issues;
+    const context = this.closest('[data-cart-context]') || document;
+
+    context.querySelectorAll('[data-cart-item]').forEach(item => {
+      const warning = item.querySelector('[data-cart-item-warning]');
+      if (!warning) return;
+
+      const issue = issues.find(entry => entry.key === item.dataset.key);
+
+      warning.textContent = issue ? this.getMessage(issue) : '';
+      warning.hidden = !issue;
+    });
+
+    if (this.notice) this.notice.hidden = issues.length === 0;
+  }
+
+  getMessage(issue) {
+    const messages = {
+      sold_out: this.dataset.messageSoldOut,
+      stock: this.dataset.messageStock,
+      max: this.dataset.messageMax,
+      min: this.dataset.messageMin,
+      increment: this.dataset.messageIncrement
+    };
+
+    return (messages[issue.reason] || '')
+      .replace('[available]', issue.limit.available)
+      .replace('[max]', issue.limit.max)
+      .replace('[min]', issue.limit.min)
+      .replace('[increment]', issue.limit.increment);
+  }
+
+  async handleAdjust() {
+    this.adjustBtn.disabled = true;
+
+    try {
+      await window.CartAPI.adjustQuantities(this.issues);
+      await window.CartAPI.validate();
+    } catch (error) {
+      console.error('Adjust quantities failed:', error);
+    } finally {
+      this.adjustBtn.disabled = false;
+    }
+  }
+}
+
+customElements.define('cart-validation', CartValidation);
+
+/**
+ * Cart Line Properties Component
+ * Edits existing line item properties (engraving, gift message) in place
+ * Hidden '_'-prefixed properties are sent back unchanged
+ */
+class CartLineProperties extends HTMLElement {
+  constructor() {
+    super();
+    this.toggleBtn = this.querySelector('[data-properties-edit]');
+    this.form = this.querySelector('[data-properties-form]');
+    this.saveBtn = this.querySelector('[data-properties-save]');
+    this.cancelBtn = this.querySelector('[data-properties-cancel]');
+    this.errorElement = this.querySelector('[data-properties-error]');
+    this.inputs = [...this.querySelectorAll('[data-property-input]')];
+
+    if (this.toggleBtn) this.toggleBtn.addEventListener('click', () => this.toggle());
+    if (this.cancelBtn) this.cancelBtn.addEventListener('click', () => this.toggle(false));
+    if (this.saveBtn) this.saveBtn.addEventListener('click', this.handleSave.bind(this));
+
+    this.inputs.forEach(input => {
+      input.addEventListener('input', () => {
+        this.updateCount(input);
+        this.hideError();
+      });
+      this.updateCount(input);
+    });
+  }
+
+  /**
+   * Properties as currently stored on the line, including hidden ones
+   * @returns {object}
+   */
+  getProperties() {
+    try {
+      return JSON.parse(this.querySelector('[data-properties]')?.textContent || '{}') || {};
+    } catch (error) {
+      return {};
+    }
+  }
+
+  toggle(force) {
+    const open = typeof force === 'boolean' ? force : this.form.hidden;
+    this.form.hidden = !open;
+    this.toggleBtn.setAttribute('aria-expanded', open);
+
+    if (open) {
+      this.inputs[0]?.focus();
+    } else {
+      this.inputs.forEach(input => {
+        input.value = input.defaultValue;
+        this.updateCount(input);
+      });
+      this.hideError();
+      this.toggleBtn.focus();
+    }
+  }
+
+  updateCount(input) {
+    const counter = input.closest('[data-property-field]')?.querySelector('[data-property-count]');
+    const max = parseInt(input.dataset.maxlength) || 0;
+    if (counter && max) counter.textContent = `${input.value.length}/${max}`;
+  }
+
+  /**
+   * Check every field against its max length
+   * @returns {string|null} Error message for the first invalid field
+   */
+  validate() {
+    for (const input of this.inputs) {
+      const max = parseInt(input.dataset.maxlength) || 0;
+      if (max && input.value.length > max) {
+        input.focus();
+        return this.dataset.errorTooLong
+          .replace('[name]', input.dataset.propertyInput)
+          .replace('[max]', max);
+      }
+    }
+    return null;
+  }
+
+  async handleSave(event) {
+    event.preventDefault();
+
+    const error = this.validate();
+    if (error) {
+      this.showError(error);
+      return;
+    }
+
+    const properties = this.getProperties();
+    this.inputs.forEach(input => {
+      properties[input.dataset.propertyInput] = input.value.trim();
+    });
+
+    const line = parseInt(this.dataset.line);
+
+    this.classList.add('loading');
+    this.saveBtn.disabled = true;
+
+    try {
+      await window.CartAPI.change({
+        line,
+        quantity: parseInt(this.closest('[data-cart-item]')?.querySelector('cart-quantity-input input')?.value || this.dataset.quantity),
+        properties
+      });
+    } catch (error) {
+      this.showError(error.message);
+    } finally {
+      this.classList.remove('loading');
+      this.saveBtn.disabled = false;
+    }
+  }
+
+  showError(message) {
+    if (!this.errorElement) return;
+    this.errorElement.textContent = message;
+    this.errorElement.hidden = false;
+  }
+
+  hideError() {
+    if (this.errorElement) this.errorElement.hidden = true;
+  }
+}
+
+customElements.define('cart-line-properties', CartLineProperties);
+
+/**
+ * Cart Variant Swap Component
+ * Changes the options (size, colour) of a line that is already in the cart
+ */
+class CartVariantSwap extends HTMLElement {
+  constructor() {
+    super();
+    this.selects = [...this.querySelectorAll('select[data-option-index]')];
+    this.errorElement = this.querySelector('[data-variant-swap-error]');
+
+    this.selects.forEach(select => {
+      select.addEventListener('change', this.handleChange.bind(this));
+    });
+  }
+
+  async handleChange() {
+    const options = this.selects.map(select => select.value);
+    const line = parseInt(this.dataset.line);
+
+    this.hideError();
+    this.enableLoading();
+
+    try {
+      const product = await window.CartAPI.getProduct(this.dataset.handle);
+      const variant = product.variants.find(v => v.options.every((value, index) => value === options[index]));
+
+      if (!variant || !variant.available) {
+        const error = new Error('Variant is not available');
+        error.code = 'variant_unavailable';
+        throw error;
+      }
+
+      if (variant.id === parseInt(this.dataset.variantId)) return;
+
+      await window.CartAPI.swapVariant({ line, id: variant.id });
+    } catch (error) {
+      this.showError(error.code === 'variant_unavailable' ? this.dataset.errorUnavailable : error.message);
+      this.selects.forEach(select => {
+        select.value = select.dataset.current;
+      });
+    } finally {
+      this.disableLoading();
+    }
+  }
+
+  enableLoading() {
+    this.classList.add('loading');
+    this.selects.forEach(select => select.disabled = true);
+  }
+
+  disableLoading() {
+    this.classList.remove('loading');
+    this.selects.forEach(select => select.disabled = false);
+  }
+
+  showError(message) {
+    if (!this.errorElement) return;
+    this.errorElement.textContent = message;
+    this.errorElement.hidden = false;
+  }
+
+  hideError() {
+    if (this.errorElement) this.errorElement.hidden = true;
+  }
+}
+
+customElements.define('cart-variant-swap', CartVariantSwap);
+
+/**
+ * Cart Note Component
+ */
+class CartNote extends HTMLElement {
+  constructor() {
+    super();
+    this.textarea = this.querySelector('textarea');
+    this.debounceTimer = null;
+    
+    if (this.textarea) {
+      this.textarea.addEventListener('input', this.handleInput.bind(this));
+    }
+  }
+
+  handleInput(event) {
+    clearTimeout(this.debounceTimer);
+    
+    this.debounceTimer = setTimeout(async () => {
+      const note = this.textarea.value;
+      
+      try {
+        await window.CartAPI.updateNote(note);
+      } catch (error) {
+        console.error('Update note failed:', error);
+      }
+    }, 1000);
+  }
+}
+
+customElements.define('cart-note', CartNote);
+
+/**
+ * Cart Attribute Component
+ * Binds the input, select, textarea, checkbox or radio group inside it to a
+ * cart attribute. Text is saved after typing stops, other fields on change.
+ *
+ * <cart-attribute name="PO number" required data-message-required="...">
+ *   <input type="text">
+ *   <p data-attribute-error hidden></p>
+ * </cart-attribute>
+ */
+class CartAttribute extends HTMLElement {
+  constructor() {
+    super();
+    this.fields = [...this.querySelectorAll('input, select, textarea')];
+    this.errorElement = this.querySelector('[data-attribute-error]');
+    this.debounceTimer = null;
+    this.onUpdate = (data) => this.restore(data.cart);
+
+    this.fields.forEach(field => {
+      field.addEventListener('input', this.handleInput.bind(this));
+      field.addEventListener('change', this.handleChange.bind(this));
+    });
+  }
+
+  get name() {
+    return this.getAttribute('name');
+  }
+
+  get required() {
+    return this.hasAttribute('required');
+  }
+
+  connectedCallback() {
+    window.CartEvents.subscribe('cart:update', this.onUpdate);
+    window.CartEvents.subscribe('cart:attributes', this.onUpdate);
+
+    if (window.CartAPI.cart) {
+      this.restore(window.CartAPI.cart);
+    } else {
+      window.CartAPI.get().then(cart => this.restore(cart)).catch(() => {});
+    }
+  }
+
+  disconnectedCallback() {
+    window.CartEvents.unsubscribe('cart:update', this.onUpdate);
+    window.CartEvents.unsubscribe('cart:attributes', this.onUpdate);
+  }
+
+  handleInput(event) {
+    if (!this.isTyped(event.target)) return;
+
+    clearTimeout(this.debounceTimer);
+    this.debounceTimer = setTimeout(() => this.save(), 1000);
+  }
+
+  handleChange(event) {
+    if (this.isTyped(event.target)) return;
+    this.save();
+  }
+
+  isTyped(field) {
+    return field.tagName === 'TEXTAREA' || (field.tagName === 'INPUT' && !['checkbox', 'radio', 'date', 'hidden'].includes(field.type));
+  }
+
+  /**
+   * Save the current value, right away
+   * @returns {Promise}
+   */
+  async save() {
+    clearTimeout(this.debounceTimer);
+    this.debounceTimer = null;
+
+    const value = this.getValue();
+    if (this.error) this.validate();
+    if (window.CartAPI.cart?.attributes?.[this.name] === value) return;
+
+    try {
+      await window.CartAPI.updateAttributes({ [this.name]: value });
+    } catch (error) {
+      console.error(`Update cart attribute "${this.name}" failed:`, error);
+    }
+  }
+
+  /**
+   * Value of the bound field(s); checkboxes save their value (or "Yes") when checked
+   * @returns {string}
+   */
+  getValue() {
+    const field = this.fields.find(field => !['checkbox', 'radio'].includes(field.type) || field.checked);
+    if (!field) return '';
+
+    if (field.type === 'checkbox') {
+      return field.value === 'on' ? 'Yes' : field.value;
+    }
+
+    return field.value.trim();
+  }
+
+  setValue(value) {
+    this.fields.forEach(field => {
+      if (field.type === 'checkbox') {
+        field.checked = Boolean(value);
+      } else if (field.type === 'radio') {
+        field.checked = field.value === value;
+      } else {
+        field.value = value;
+      }
+    });
+  }
+
+  /**
+   * Take the saved value from the cart, unless the shopper is still editing
+   * Fires 'attribute:restore' when the value changed
+   * @param {object} cart - Cart data
+   */
+  restore(cart) {
+    if (!cart || this.debounceTimer || this.contains(document.activeElement)) return;
+
+    const value = cart.attributes?.[this.name] ?? '';
+    if (value === this.getValue()) return;
+
+    this.setValue(value);
+    this.dispatchEvent(new CustomEvent('attribute:restore', { bubbles: true, detail: { value } }));
+  }
+
+  /**
+   * Move focus to the first field the shopper can use
+   */
+  focusField() {
+    const field = this.querySelector('input:not([type="hidden"]), select, textarea, [tabindex="0"]');
+    field?.focus({ preventScroll: true });
+  }
+
+  /**
+   * Check required fields and show the error
+   * @returns {boolean} Whether the value is valid
+   */
+  validate() {
+    this.error = this.required && !this.getValue();
+
+    this.fields.forEach(field => {
+      if (this.error) {
+        field.setAttribute('aria-invalid', 'true');
+      } else {
+        field.removeAttribute('aria-invalid');
+      }
+    });
+
+    if (this.errorElement) {
+      this.errorElement.textContent = this.error ? this.dataset.messageRequired || '' : '';
+      this.errorElement.hidden = !this.error;
+    }
+
+    return !this.error;
+  }
+
+  /**
+   * Save pending values and validate every attribute within a container
+   * @param {Element|Document} root - Container to check
+   * @returns {Promise<CartAttribute[]>} Attributes that failed validation
+   */
+  static async validateAll(root = document) {
+    const attributes = [...root.querySelectorAll('cart-attribute')];
+
+    await Promise.all(attributes.filter(attribute => attribute.debounceTimer).map(attribute => attribute.save()));
+
+    return attributes.filter(attribute => !attribute.validate());
+  }
+}
+
+customElements.define('cart-attribute', CartAttribute);
+
+/**
+ * Cart Delivery Date Component
+ * Calendar for picking a delivery date, saved as YYYY-MM-DD through the
+ * cart-attribute inside it. The earliest date follows the cut-off time,
+ * weekends, the market's holidays and whether a cart line is on backorder.
+ * Keyboard: arrows move a day or week, Home/End to the start or end of the
+ * week, Page Up/Down a month, Enter or Space selects.
+ */
+class CartDeliveryDate extends HTMLElement {
+  constructor() {
+    super();
+    this.input = this.querySelector('[data-delivery-value]');
+    this.title = this.querySelector('[data-delivery-title]');
+    this.weekdays = this.querySelector('[data-delivery-weekdays]');
+    this.days = this.querySelector('[data-delivery-days]');
+    this.prevButton = this.querySelector('[data-delivery-prev]');
+    this.nextButton = this.querySelector('[data-delivery-next]');
+    this.summary = this.querySelector('[data-delivery-summary]');
+
+    this.cutoff = parseInt(this.dataset.cutoff, 10) || 0;
+    this.daysInStock = parseInt(this.dataset.daysInStock, 10) || 0;
+    this.daysBackorder = parseInt(this.dataset.daysBackorder, 10) || 0;
+    this.range = parseInt(this.dataset.range, 10) || 30;
+    this.holidays = new Set((this.dataset.holidays || '').split(/[\s,]+/).filter(Boolean));
+    this.backorder = this.hasAttribute('data-backorder');
+    this.locale = document.documentElement.lang || undefined;
+    this.onUpdate = this.handleUpdate.bind(this);
+
+    this.prevButton.addEventListener('click', () => this.showMonth(-1));
+    this.nextButton.addEventListener('click', () => this.showMonth(1));
+    this.days.addEventListener('click', this.handleClick.bind(this));
+    this.days.addEventListener('keydown', this.handleKeydown.bind(this));
+    this.addEventListener('attribute:restore', () => this.render());
+  }
+
+  connectedCallback() {
+    // The backorder flag was rendered for these lines
+    this.lines = window.CartAPI.cart ? CartDeliveryDate.getLines(window.CartAPI.cart) : null;
+    window.CartEvents.subscribe('cart:update', this.onUpdate);
+    this.renderWeekdays();
+    this.render();
+  }
+
+  disconnectedCallback() {
+    window.CartEvents.unsubscribe('cart:update', this.onUpdate);
+  }
+
+  /**
+   * Backorder lines push the earliest date back; cart.js doesn't say which
+   * lines are on backorder, so check the limits view, but only when the
+   * lines or their quantities changed (notes, attributes and discounts don't)
+   */
+  async handleUpdate(data) {
+    if (!data.cart) return;
+
+    const lines = CartDeliveryDate.getLines(data.cart);
+    if (lines === this.lines) return;
+    this.lines = lines;
+
+    try {
+      const limits = await window.CartAPI.getLimits();
+      const backorder = Object.values(limits).some(limit => limit.backorder);
+      if (backorder === this.backorder) return;
+
+      this.backorder = backorder;
+      this.render();
+    } catch (error) {
+      // Try again on the next update
+      this.lines = null;
+      console.error('Delivery date update failed:', error);
+    }
+  }
+
+  handleClick(event) {
+    const cell = event.target.closest('[data-date]');
+    if (!cell || cell.getAttribute('aria-disabled') === 'true') return;
+
+    this.select(CartDeliveryDate.parse(cell.dataset.date));
+  }
+
+  handleKeydown(event) {
+    const moves = {
+      ArrowLeft: -1,
+      ArrowRight: 1,
+      ArrowUp: -7,
+      ArrowDown: 7,
+      Home: -((this.focused.getUTCDay() + 6) % 7),
+      End: 6 - ((this.focused.getUTCDay() + 6) % 7)
+    };
+
+    if (event.key in moves) {
+      event.preventDefault();
+      this.moveFocus(CartDeliveryDate.addDays(this.focused, moves[event.key]));
+    } else if (event.key === 'PageUp' || event.key === 'PageDown') {
+      event.preventDefault();
+      const date = new Date(this.focused);
+      date.setUTCMonth(date.getUTCMonth() + (event.key === 'PageUp' ? -1 : 1));
+      this.moveFocus(date);
+    } else if (event.key === 'Enter' || event.key === ' ') {
+      event.preventDefault();
+      if (this.isAvailable(this.focused)) this.select(this.focused);
+    }
+  }
+
+  /**
+   * Current date and time in the shop's time zone, read with the getUTC* methods
+   * @returns {Date}
+   */
+  getShopNow() {
+    const match = /([+-])(\d{2})(\d{2})/.exec(this.dataset.utcOffset || '');
+    const minutes = match ? (match[1] === '-' ? -1 : 1) * (Number(match[2]) * 60 + Number(match[3])) : 0;
+    return new Date(Date.now() + minutes * 60000);
+  }
+
+  /**
+   * Earliest delivery date
+   * Orders ship on the first business day (today, before the cut-off) and
+   * take the in-stock or backorder number of business days to arrive
+   * @returns {Date}
+   */
+  getEarliest() {
+    const now = this.getShopNow();
+    let date = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+
+    if (now.getUTCHours() >= this.cutoff) {
+      date = CartDeliveryDate.addDays(date, 1);
+    }
+
+    while (!this.isBusinessDay(date)) {
+      date = CartDeliveryDate.addDays(date, 1);
+    }
+
+    let remaining = this.backorder ? this.daysBackorder : this.daysInStock;
+    while (remaining > 0) {
+      date = CartDeliveryDate.addDays(date, 1);
+      if (this.isBusinessDay(date)) remaining--;
+    }
+
+    return date;
+  }
+
+  isBusinessDay(date) {
+    const day = date.getUTCDay();
+    return day !== 0 && day !== 6 && !this.holidays.has(CartDeliveryDate.format(date));
+  }
+
+  isAvailable(date) {
+    return date >= this.earliest && date <= this.latest && this.isBusinessDay(date);
+  }
+
+  /**
+   * Recalculate the available dates and check the saved one
+   */
+  render() {
+    this.earliest = this.getEarliest();
+    this.latest = CartDeliveryDate.addDays(this.earliest, this.range);
+
+    let selected = this.input.value ? CartDeliveryDate.parse(this.input.value) : null;
+    let message = '';
+
+    // A saved date can run out (a day later, a backorder line added): drop it
+    if (selected && !this.isAvailable(selected)) {
+      selected = null;
+      message = this.dataset.messageUnavailable;
+      this.setValue('');
+    }
+
+    this.selected = selected;
+    this.focused = selected || this.earliest;
+    this.month = CartDeliveryDate.startOfMonth(this.focused);
+
+    this.renderMonth();
+    this.renderSummary(message);
+  }
+
+  renderWeekdays() {
+    const formatter = new Intl.DateTimeFormat(this.locale, { weekday: 'short', timeZone: 'UTC' });
+    const monday = Date.UTC(2024, 0, 1);
+
+    this.weekdays.replaceChildren(...Array.from({ length: 7 }, (_, index) => {
+      const cell = document.createElement('th');
+      const date = new Date(monday + index * 86400000);
+      cell.scope = 'col';
+      cell.textContent = formatter.format(date);
+      cell.setAttribute('abbr', date.toLocaleDateString(this.locale, { weekday: 'long', timeZone: 'UTC' }));
+      return cell;
+    }));
+  }
+
+  renderMonth() {
+    const labelFormatter = new Intl.DateTimeFormat(this.locale, { weekday: 'long', day: 'numeric', month: 'long', timeZone: 'UTC' });
+    const offset = (this.month.getUTCDay() + 6) % 7;
+    let date = CartDeliveryDate.addDays(this.month, -offset);
+    const rows = [];
+
+    this.title.textContent = this.month.toLocaleDateString(this.locale, { month: 'long', year: 'numeric', timeZone: 'UTC' });
+
+    do {
+      const row = document.createElement('tr');
+
+      for (let index = 0; index < 7; index++) {
+        const cell = document.createElement('td');
+        const iso = CartDeliveryDate.format(date);
+
+        if (date.getUTCMonth() === this.month.getUTCMonth()) {
+          cell.setAttribute('role', 'gridcell');
+          cell.dataset.date = iso;
+          cell.textContent = date.getUTCDate();
+          cell.tabIndex = iso === CartDeliveryDate.format(this.focused) ? 0 : -1;
+          cell.setAttribute('aria-label', labelFormatter.format(date));
+          cell.setAttribute('aria-selected', String(iso === (this.selected && CartDeliveryDate.format(this.selected))));
+          if (!this.isAvailable(date)) cell.setAttribute('aria-disabled', 'true');
+        }
+
+        row.append(cell);
+        date = CartDeliveryDate.addDays(date, 1);
+      }
+
+      rows.push(row);
+    } while (date.getUTCMonth() === this.month.getUTCMonth());
+
+    this.days.replaceChildren(...rows);
+    this.prevButton.disabled = this.month <= CartDeliveryDate.startOfMonth(this.earliest);
+    this.nextButton.disabled = this.month >= CartDeliveryDate.startOfMonth(this.latest);
+  }
+
+  renderSummary(message = '') {
+    const formatter = new Intl.DateTimeFormat(this.locale, { weekday: 'long', day: 'numeric', month: 'long', timeZone: 'UTC' });
+    const template = this.selected ? this.dataset.messageSelected : this.dataset.messageEarliest;
+    const text = (template || '').replace('[date]', formatter.format(this.selected || this.earliest));
+
+    this.summary.textContent = message ? `${message} ${text}` : text;
+  }
+
+  /**
+   * Show the previous (-1) or next (1) month, keeping focus in range
+   */
+  showMonth(direction) {
+    const month = new Date(this.month);
+    month.setUTCMonth(month.getUTCMonth() + direction);
+
+    this.month = month;
+    this.focused = this.clamp(this.isSameMonth(this.focused, month) ? this.focused : month);
+    this.renderMonth();
+  }
+
+  moveFocus(date) {
+    this.focused = this.clamp(date);
+
+    if (!this.isSameMonth(this.focused, this.month)) {
+      this.month = CartDeliveryDate.startOfMonth(this.focused);
+      this.renderMonth();
+    } else {
+      this.days.querySelectorAll('[data-date]').forEach(cell => {
+        cell.tabIndex = cell.dataset.date === CartDeliveryDate.format(this.focused) ? 0 : -1;
+      });
+    }
+
+    this.days.querySelector(`[data-date="${CartDeliveryDate.format(this.focused)}"]`)?.focus();
+  }
+
+  select(date) {
+    this.selected = date;
+    this.focused = date;
+    this.setValue(CartDeliveryDate.format(date));
+    this.renderMonth();
+    this.renderSummary();
+    this.days.querySelector(`[data-date="${CartDeliveryDate.format(date)}"]`)?.focus();
+  }
+
+  /**
+   * Set the hidden field; the change event lets the cart-attribute save it
+   */
+  setValue(value) {
+    if (this.input.value === value) return;
+    this.input.value = value;
+    this.input.dispatchEvent(new Event('change', { bubbles: true }));
+  }
+
+  clamp(date) {
+    const min = CartDeliveryDate.startOfMonth(this.earliest);
+    if (date < min) return min;
+    return date > this.latest ? this.latest : date;
+  }
+
+  isSameMonth(a, b) {
+    return a.getUTCFullYear() === b.getUTCFullYear() && a.getUTCMonth() === b.getUTCMonth();
+  }
+
+  /**
+   * Line keys and quantities of a cart, to tell whether its lines changed
+   * @param {object} cart - Cart data
+   * @returns {string}
+   */
+  static getLines(cart) {
+    return (cart.items || []).map(item => `${item.key}:${item.quantity}`).join(',');
+  }
+
+  static addDays(date, days) {
+    return new Date(date.getTime() + days * 86400000);
+  }
+
+  static startOfMonth(date) {
+    return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1));
+  }
+
+  static format(date) {
+    return date.toISOString().slice(0, 10);
+  }
+
+  static parse(value) {
+    return new Date(`${value}T00:00:00Z`);
+  }
+}
+
+customElements.define('cart-delivery-date', CartDeliveryDate);
+
+/**
+ * Cart Gift Options Component
+ * Adds or removes the gift-wrap product; the gift message is a cart-attribute
+ * inside it. The wrap line lists the products it wraps in its _gift_wrap_for
+ * property (products, so variant swaps keep it) and is removed automatically
+ * once none of them are left.
+ */
+class CartGiftOptions extends HTMLElement {
+  constructor() {
+    super();
+    this.checkbox = this.querySelector('[data-gift-wrap]');
+    this.errorElement = this.querySelector('[data-gift-error]');
+    this.onUpdate = (data) => this.sync(data.cart);
+
+    if (this.checkbox) {
+      this.checkbox.addEventListener('change', this.handleToggle.bind(this));
+    }
+  }
+
+  connectedCallback() {
+    window.CartEvents.subscribe('cart:update', this.onUpdate);
+  }
+
+  disconnectedCallback() {
+    window.CartEvents.unsubscribe('cart:update', this.onUpdate);
+  }
+
+  async handleToggle() {
+    this.checkbox.disabled = true;
+    this.hideError();
+
+    try {
+      const cart = await window.CartAPI.get();
+
+      if (this.checkbox.checked) {
+        const parents = cart.items
+          .filter(item => !CartGiftOptions.isWrap(item))
+          .map(item => item.product_id);
+
+        // Nothing to wrap: a wrap without products would never be cleaned up
+        if (parents.length === 0) {
+          this.checkbox.checked = false;
+          return;
+        }
+
+        await window.CartAPI.add({
+          items: [{
+            id: parseInt(this.dataset.variantId),
+            quantity: 1,
+            properties: { _gift_wrap_for: [...new Set(parents)].join(',') }
+          }]
+        });
+      } else {
+        await CartGiftOptions.removeWraps(cart.items.filter(CartGiftOptions.isWrap));
+      }
+    } catch (error) {
+      this.checkbox.checked = !this.checkbox.checked;
+      this.showError(error.message);
+    } finally {
+      this.checkbox.disabled = false;
+    }
+  }
+
+  sync(cart) {
+    if (this.checkbox && !this.checkbox.disabled) {
+      this.checkbox.checked = cart.items.some(CartGiftOptions.isWrap);
+    }
+  }
+
+  showError(message) {
+    if (!this.errorElement) return;
+    this.errorElement.textContent = message;
+    this.errorElement.hidden = false;
+  }
+
+  hideError() {
+    if (this.errorElement) this.errorElement.hidden = true;
+  }
+
+  /**
+   * Check if a cart line is a gift wrap
+   * An empty _gift_wrap_for still counts, so track() removes such wraps
+   * @param {object} item - Cart line
+   * @returns {boolean}
+   */
+  static isWrap(item) {
+    return '_gift_wrap_for' in (item.properties || {});
+  }
+
+  /**
+   * Remove gift-wrap lines
+   * @param {array} wraps - Wrap lines
+   * @returns {Promise}
+   */
+  static removeWraps(wraps) {
+    return Promise.all(wraps.map(wrap => window.CartAPI.change({ id: wrap.key, quantity: 0 })));
+  }
+
+  /**
+   * Remove wraps whose wrapped lines are all gone
+   * Remote updates are left to the tab that made them
+   * @param {object} data - 'cart:update' event data
+   */
+  static track(data) {
+    if (data.remote || !data.cart) return;
+
+    const { items } = data.cart;
+    const orphaned = items.filter(CartGiftOptions.isWrap).filter(wrap => {
+      const parents = String(wrap.properties._gift_wrap_for || '').split(',').filter(Boolean).map(Number);
+      return !items.some(item => !CartGiftOptions.isWrap(item) && parents.includes(item.product_id));
+    });
+
+    if (orphaned.length === 0) return;
+
+    CartGiftOptions.removeWraps(orphaned)
+      .catch(error => console.error('Removing gift wrap failed:', error));
+  }
+}
+
+window.CartEvents.subscribe('cart:update', (data) => CartGiftOptions.track(data));
+
+customElements.define('cart-gift-options', CartGiftOptions);
+
+/**
+ * Cart Discount Component
+ * Applies and removes discount codes without leaving the page
+ */
+class CartDiscount extends HTMLElement {
+  constructor() {
+    super();
+    this.input = this.querySelector('[data-discount-input]');
+    this.applyBtn = this.querySelector('[data-discount-apply]');
+    this.errorElement = this.querySelector('[data-discount-error]');
+
+    if (this.applyBtn) {
+      this.applyBtn.addEventListener('click', this.handleApply.bind(this));
+    }
+
+    if (this.input) {
+      this.input.addEventListener('keydown', (event) => {
+        if (event.key !== 'Enter') return;
+        event.preventDefault();
+        this.handleApply();
+      });
+      this.input.addEventListener('input', this.hideError.bind(this));
+    }
+
+    this.addEventListener('click', this.handleRemove.bind(this));
+  }
+
+  async handleApply() {
+    const code = this.input?.value.trim();
+
+    if (!code) {
+      this.showError(this.dataset.errorEmpty);
+      return;
+    }
+
+    this.hideError();
+    this.applyBtn.disabled = true;
 
     try {
-      const response = await fetch(window.Shopify.routes.root + 'cart/clear.js', {
-        method: 'POST',
-        headers: {
-          'X-Requested-With': 'XMLHttpRequest'
-        }
-      });
+      await window.CartAPI.applyDiscount(code);
+    } catch (error) {
+      const messages = {
+        discount_empty: this.dataset.errorEmpty,
+        discount_invalid: this.dataset.errorInvalid,
+        discount_not_applicable: this.dataset.errorNotApplicable
+      };
+      this.showError(messages[error.code] || error.message);
+    } finally {
+      this.applyBtn.disabled = false;
+    }
+  }
 
-      if (!response.ok) {
-        throw new Error('Failed to clear cart');
-      }
+  async handleRemove(event) {
+    const button = event.target.closest('[data-discount-remove]');
+    if (!button) return;
 
-      const cartData = await this.get();
-      
-      window.CartEvents.publish('cart:update', { cart: cartData, action: 'clear' });
+    event.preventDefault();
+    button.disabled = true;
 
-      return cartData;
+    try {
+      await window.CartAPI.removeDiscount(button.dataset.discountRemove);
     } catch (error) {
-      console.error('Clear cart failed:', error);
-      window.CartEvents.publish('cart:error', { error, action: 'clear' });
-      throw error;
+      this.showError(error.message);
+      button.disabled = false;
     }
   }
+
+  showError(message) {
+    if (!this.errorElement) return;
+    this.errorElement.textContent = message;
+    this.errorElement.hidden = false;
+  }
+
+  hideError() {
+    if (this.errorElement) this.errorElement.hidden = true;
+  }
 }
 
-// Global cart API
-window.CartAPI = new CartAPI();
+customElements.define('cart-discount', CartDiscount);
 
 /**
- * Cart Remove Button Component
+ * Cart Share Component
+ * Copies a shareable cart link and handles /cart?restore=<token> links,
+ * asking the shopper whether to merge or replace a non-empty cart
  */
-class CartRemoveButton extends HTMLElement {
+class CartShare extends HTMLElement {
   constructor() {
     super();
-    this.addEventListener('click', this.handleClick.bind(this));
+    this.copyBtn = this.querySelector('[data-share-copy]');
+    this.urlInput = this.querySelector('[data-share-url]');
+    this.statusElement = this.querySelector('[data-share-status]');
+    this.errorElement = this.querySelector('[data-restore-error]');
+    this.prompt = document.querySelector(`[data-modal="${this.dataset.modalId}"]`);
+
+    if (this.copyBtn) {
+      this.copyBtn.addEventListener('click', this.handleCopy.bind(this));
+    }
+
+    if (this.prompt) {
+      this.prompt.addEventListener('click', this.handleChoice.bind(this));
+    }
   }
 
-  async handleClick(event) {
-    event.preventDefault();
-    
-    const line = parseInt(this.dataset.line);
-    const context = this.closest('[data-cart-context]')?.dataset.cartContext || 'page';
-    
-    this.enableLoading();
+  connectedCallback() {
+    const params = new URLSearchParams(window.location.search);
+    this.token = params.get('restore');
+    if (!this.token) return;
+
+    // Drop the token from the URL so a reload doesn't restore the cart twice
+    params.delete('restore');
+    const query = params.toString();
+    window.history.replaceState({}, '', window.location.pathname + (query ? `?${query}` : '') + window.location.hash);
+
+    this.handleRestore();
+  }
+
+  async handleCopy() {
+    this.copyBtn.disabled = true;
 
     try {
-      const cartData = await window.CartAPI.change({
-        line: line,
-        quantity: 0
-      });
+      const url = await window.CartAPI.getShareUrl();
 
-      // Update UI
-      await window.CartUpdater.update({ context, cartData });
+      if (this.urlInput) {
+        this.urlInput.value = url;
+        this.urlInput.hidden = false;
+        this.urlInput.select();
+      }
 
-      window.CartEvents.publish('cart:remove', { line, cart: cartData });
+      await navigator.clipboard.writeText(url);
+      this.showStatus(this.dataset.messageCopied);
     } catch (error) {
-      this.showError(error.message);
+      // Clipboard can be blocked; the link is still selected in the input
+      console.error('Copy cart link failed:', error);
     } finally {
-      this.disableLoading();
+      this.copyBtn.disabled = false;
     }
   }
 
-  enableLoading() {
-    this.classList.add('loading');
-    this.disabled = true;
+  async handleRestore() {
+    try {
+      await window.CartAPI.readToken(this.token);
+      const cart = window.CartAPI.cart || await window.CartAPI.get();
+
+      if (cart.item_count === 0 || !this.prompt) {
+        await this.restore('replace');
+        return;
+      }
+
+      if (window.themeModal) {
+        window.themeModal.open(this.dataset.modalId);
+      } else {
+        this.prompt.hidden = false;
+      }
+    } catch (error) {
+      this.showError(error);
+    }
   }
 
-  disableLoading() {
-    this.classList.remove('loading');
-    this.disabled = false;
+  async handleChoice(event) {
+    const button = event.target.closest('[data-restore-mode]');
+    if (!button) return;
+
+    if (window.themeModal) {
+      window.themeModal.close(this.dataset.modalId);
+    } else {
+      this.prompt.hidden = true;
+    }
+
+    if (button.dataset.restoreMode === 'cancel') return;
+
+    try {
+      await this.restore(button.dataset.restoreMode);
+    } catch (error) {
+      this.showError(error);
+    }
   }
 
-  showError(message) {
-    // Error handling can be customized
-    console.error('Remove failed:', message);
+  async restore(mode) {
+    await window.CartAPI.restoreCart(this.token, mode);
+    this.token = null;
+  }
+
+  showStatus(message) {
+    if (!this.statusElement) return;
+    this.statusElement.textContent = message;
+  }
+
+  showError(error) {
+    if (!this.errorElement) return;
+    this.errorElement.textContent = error.code === 'restore_invalid' ? this.dataset.errorInvalid : error.message;
+    this.errorElement.hidden = false;
   }
 }
 
-customElements.define('cart-remove-button', CartRemoveButton);
+customElements.define('cart-share', CartShare);
 
 /**
- * Cart Quantity Input Component
+ * Cart Shipping Progress Component
+ * Shows how far the cart total is from the market's free-shipping threshold
  */
-class CartQuantityInput extends HTMLElement {
-  constructor() {
-    super();
-    this.input = this.querySelector('input[type="number"]');
-    this.minusBtn = this.querySelector('[name="minus"]');
-    this.plusBtn = this.querySelector('[name="plus"]');
-    
-    this.debounceTimer = null;
-    
-    if (this.input) {
-      this.input.addEventListener('change', this.handleChange.bind(this));
+class CartShippingProgress extends HTMLElement {
+  connectedCallback() {
+    this.messageElement = this.querySelector('[data-shipping-message]');
+    this.fillElement = this.querySelector('[data-shipping-fill]');
+
+    // Threshold is in the store currency, cart totals are in the active currency
+    const rate = parseFloat(window.Shopify?.currency?.rate || 1);
+    this.threshold = Math.round(parseInt(this.dataset.threshold) * rate);
+
+    const total = parseInt(this.dataset.total) || 0;
+    if (CartShippingProgress.reached === null) {
+      CartShippingProgress.reached = total >= this.threshold;
     }
-    
-    if (this.minusBtn) {
-      this.minusBtn.addEventListener('click', this.handleMinus.bind(this));
+
+    this.render(total);
+    this.unsubscribe = window.CartEvents.subscribe('cart:update', (data) => this.render(data.cart.total_price));
+  }
+
+  disconnectedCallback() {
+    if (this.unsubscribe) this.unsubscribe();
+  }
+
+  render(total) {
+    if (!this.threshold) return;
+
+    const remaining = Math.max(this.threshold - total, 0);
+    const progress = Math.min(total / this.threshold, 1) * 100;
+
+    this.classList.toggle('is-reached', remaining === 0);
+    if (this.fillElement) this.fillElement.style.width = `${progress}%`;
+    if (this.messageElement) {
+      this.messageElement.textContent = remaining === 0
+        ? this.dataset.messageReached
+        : this.dataset.messageRemaining.replace('[amount]', window.themeMoney.format(remaining));
     }
-    
-    if (this.plusBtn) {
-      this.plusBtn.addEventListener('click', this.handlePlus.bind(this));
+  }
+
+  /**
+   * Publish 'cart:threshold-reached' once when the cart crosses the threshold
+   * Runs once per update, not per instance, so drawer and page don't both fire
+   * Remote updates only keep the state, the tab that made them publishes
+   * @param {object} data - 'cart:update' event data
+   */
+  static track(data) {
+    const element = document.querySelector('cart-shipping-progress');
+    if (!data.cart || !element || !element.threshold) return;
+
+    const { cart } = data;
+    const reached = cart.total_price >= element.threshold;
+    if (reached && CartShippingProgress.reached === false && !data.remote) {
+      window.CartEvents.publish('cart:threshold-reached', { cart, threshold: element.threshold });
     }
+    CartShippingProgress.reached = reached;
   }
+}
 
-  async handleChange(event) {
-    clearTimeout(this.debounceTimer);
-    
-    this.debounceTimer = setTimeout(async () => {
-      let newQuantity = parseInt(this.input.value);
-      const line = parseInt(this.input.dataset.line);
-      const context = this.closest('[data-cart-context]')?.dataset.cartContext || 'page';
-      
-      // Validate quantity
-      const min = parseInt(this.input.dataset.min || 1);
-      const max = this.input.max ? parseInt(this.input.max) : null;
-      const step = parseInt(this.input.step || 1);
+CartShippingProgress.reached = null;
+window.CartEvents.subscribe('cart:update', (data) => CartShippingProgress.track(data));
 
-      // If empty or invalid, default to min
-      if (isNaN(newQuantity) || newQuantity < min) {
-        newQuantity = min;
-        this.input.value = min;
-      }
+customElements.define('cart-shipping-progress', CartShippingProgress);
 
-      if (max && newQuantity > max) {
-        newQuantity = max;
-        this.input.value = max;
-        this.showError(`Maximum quantity is ${max}`);
-      }
+/**
+ * Cart Upsell Component
+ * Picks products to suggest with the rules from html-cart-upsell:
+ * - product_type: the cart holds a product of a type → suggest from a
+ *   collection, or that product's recommendations
+ * - threshold: the cart total is under a threshold → suggest the cheapest
+ *   product that crosses it
+ * Rules run in order until the limit is reached; without a match the first
+ * line's recommendations are used (when enabled). Re-renders on 'cart:update'.
+ */
+class CartUpsell extends HTMLElement {
+  connectedCallback() {
+    this.list = this.querySelector('[data-upsell-list]');
+    this.template = this.querySelector('[data-upsell-template]');
+    this.requestId = 0;
 
-      this.enableLoading();
+    try {
+      this.config = JSON.parse(this.querySelector('[data-upsell-rules]')?.textContent || '{}') || {};
+    } catch (error) {
+      console.error('Cart upsell rules are invalid:', error);
+      this.hidden = true;
+      return;
+    }
 
-      try {
-        const cartData = await window.CartAPI.change({
-          line: line,
-          quantity: newQuantity
-        });
+    this.addEventListener('click', this.handleClick.bind(this));
+    this.unsubscribe = window.CartEvents.subscribe('cart:update', (data) => this.update(data.cart));
 
-        // Update UI
-        await window.CartUpdater.update({ context, cartData });
-      } catch (error) {
-        this.showError(error.message);
-        this.input.value = this.input.dataset.previousValue || min;
-      } finally {
-        this.disableLoading();
-      }
-    }, 500);
+    if (window.CartAPI.cart) {
+      this.update(window.CartAPI.cart);
+    } else {
+      window.CartAPI.get().then(cart => this.update(cart)).catch(() => {});
+    }
   }
 
-  handleMinus(event) {
-    event.preventDefault();
-    const currentValue = parseInt(this.input.value);
-    const min = parseInt(this.input.dataset.min || 0);
-    const step = parseInt(this.input.step || 1);
-    
-    if (currentValue - step >= min) {
-      this.input.value = currentValue - step;
-      this.input.dispatchEvent(new Event('change'));
+  disconnectedCallback() {
+    if (this.unsubscribe) this.unsubscribe();
+  }
+
+  /**
+   * Pick and render suggestions for a cart
+   * Only the latest update renders, slower earlier picks are dropped
+   * @param {object} cart - Cart data
+   */
+  async update(cart) {
+    if (!cart) return;
+    const requestId = ++this.requestId;
+
+    try {
+      const products = await this.pick(cart);
+      if (requestId === this.requestId) this.render(products);
+    } catch (error) {
+      console.error('Cart upsell failed:', error);
     }
   }
 
-  handlePlus(event) {
-    event.preventDefault();
-    const currentValue = parseInt(this.input.value);
-    const max = this.input.max ? parseInt(this.input.max) : null;
-    const step = parseInt(this.input.step || 1);
-    
-    if (!max || currentValue + step <= max) {
-      this.input.value = currentValue + step;
-      this.input.dispatchEvent(new Event('change'));
+  /**
+   * Run the rules against a cart
+   * @param {object} cart - Cart data
+   * @returns {Promise<object[]>} Normalized products, at most config.limit
+   */
+  async pick(cart) {
+    const limit = this.config.limit || 4;
+    const inCart = new Set(cart.items.map(item => item.product_id));
+    const picked = new Map();
+    const accept = (product) => product.available
+      && !picked.has(product.id)
+      && !(this.config.excludeInCart && inCart.has(product.id));
+
+    const add = (products) => products
+      .filter(accept)
+      .slice(0, limit - picked.size)
+      .forEach(product => picked.set(product.id, product));
+
+    for (const rule of this.config.rules || []) {
+      if (picked.size >= limit) break;
+      add(await this.evaluate(rule, cart, accept));
+    }
+
+    if (picked.size === 0 && this.config.fallback && cart.items.length > 0) {
+      add(await CartUpsell.fetchProducts(CartUpsell.recommendationsUrl(cart.items[0].product_id)));
     }
+
+    return [...picked.values()];
   }
 
-  enableLoading() {
-    this.classList.add('loading');
-    this.input.disabled = true;
-    if (this.minusBtn) this.minusBtn.disabled = true;
-    if (this.plusBtn) this.plusBtn.disabled = true;
+  /**
+   * Candidates of one rule, empty when the rule doesn't match
+   * @param {object} rule - Rule config
+   * @param {object} cart - Cart data
+   * @param {function} accept - Filter for products that may be shown
+   * @returns {Promise<object[]>}
+   */
+  async evaluate(rule, cart, accept) {
+    switch (rule.type) {
+      case 'product_type': {
+        const type = (rule.productType || '').trim().toLowerCase();
+        const match = type && cart.items.find(item => (item.product_type || '').toLowerCase() === type);
+        return match ? this.getCandidates(rule, match.product_id) : [];
+      }
+
+      case 'threshold': {
+        // Threshold is in the store currency, cart totals are in the active currency
+        const rate = parseFloat(window.Shopify?.currency?.rate || 1);
+        const gap = Math.round(rule.threshold * rate) - cart.total_price;
+        if (!rule.threshold || gap <= 0 || cart.items.length === 0) return [];
+
+        const candidates = await this.getCandidates(rule, cart.items[0].product_id);
+        return candidates
+          .filter(product => accept(product) && product.price >= gap)
+          .sort((a, b) => a.price - b.price)
+          .slice(0, 1);
+      }
+
+      default:
+        return [];
+    }
   }
 
-  disableLoading() {
-    this.classList.remove('loading');
-    this.input.disabled = false;
-    if (this.minusBtn) this.minusBtn.disabled = false;
-    if (this.plusBtn) this.plusBtn.disabled = false;
+  /**
+   * Products from the rule's collection, or recommendations for a product
+   */
+  getCandidates(rule, productId) {
+    if (rule.collection) {
+      return CartUpsell.fetchProducts(`${window.Shopify.routes.root}collections/${encodeURIComponent(rule.collection)}/products.json?limit=50`);
+    }
+
+    return CartUpsell.fetchProducts(CartUpsell.recommendationsUrl(productId));
   }
 
-  showError(message) {
-    const errorElement = this.closest('[data-cart-item]')?.querySelector('[data-cart-item-error]');
-    if (errorElement) {
-      errorElement.textContent = message;
-      errorElement.style.display = 'block';
-      
-      setTimeout(() => {
-        errorElement.style.display = 'none';
-      }, 3000);
+  render(products) {
+    if (!this.list || !this.template) return;
+
+    this.hidden = products.length === 0;
+    this.list.replaceChildren(...products.map(product => this.renderProduct(product)));
+  }
+
+  renderProduct(product) {
+    const fragment = this.template.content.cloneNode(true);
+    const element = fragment.firstElementChild;
+    const image = element.querySelector('[data-upsell-image]');
+    const addButton = element.querySelector('[data-upsell-add]');
+    const viewLink = element.querySelector('[data-upsell-view]');
+
+    element.querySelectorAll('[data-upsell-link]').forEach(link => { link.href = product.url; });
+    element.querySelector('[data-upsell-title]').textContent = product.title;
+    element.querySelector('[data-upsell-price]').innerHTML = window.themeMoney.formatHtml(product.price);
+
+    if (image && product.image) {
+      image.src = product.image;
+      image.alt = product.title;
+    } else if (image) {
+      image.remove();
+    }
+
+    // Products with options go to the product page to pick a variant
+    if (product.singleVariant) {
+      addButton.dataset.variantId = product.variantId;
+      addButton.setAttribute('aria-label', `${addButton.getAttribute('aria-label')}: ${product.title}`);
+      viewLink?.remove();
+    } else {
+      viewLink?.setAttribute('aria-label', `${viewLink.getAttribute('aria-label')}: ${product.title}`);
+      addButton.remove();
     }
+
+    return element;
   }
-}
 
-customElements.define('cart-quantity-input', CartQuantityInput);
+  async handleClick(event) {
+    const button = event.target.closest('[data-upsell-add]');
+    if (!button || button.disabled) return;
 
-/**
- * Cart Note Component
- */
-class CartNote extends HTMLElement {
-  constructor() {
-    super();
-    this.textarea = this.querySelector('textarea');
-    this.debounceTimer = null;
-    
-    if (this.textarea) {
-      this.textarea.addEventListener('input', this.handleInput.bind(this));
+    event.preventDefault();
+    button.disabled = true;
+    button.classList.add('loading');
+
+    try {
+      await window.CartAPI.add({ id: parseInt(button.dataset.variantId), quantity: 1 });
+    } catch (error) {
+      console.error('Add upsell product failed:', error);
+      button.disabled = false;
+      button.classList.remove('loading');
     }
   }
 
-  handleInput(event) {
-    clearTimeout(this.debounceTimer);
-    
-    this.debounceTimer = setTimeout(async () => {
-      const note = this.textarea.value;
-      
-      try {
-        await window.CartAPI.updateNote(note);
-      } catch (error) {
-        console.error('Update note failed:', error);
-      }
-    }, 1000);
+  static recommendationsUrl(productId) {
+    return `${window.Shopify.routes.root}recommendations/products.json?product_id=${productId}&limit=10&intent=related`;
+  }
+
+  /**
+   * Fetch a product list once per page view
+   * @param {string} url - Collection or recommendations JSON URL
+   * @returns {Promise<object[]>} Normalized products
+   */
+  static fetchProducts(url) {
+    if (!CartUpsell.cache.has(url)) {
+      const request = fetch(url, { headers: { 'X-Requested-With': 'XMLHttpRequest' } })
+        .then(response => {
+          if (!response.ok) throw new Error('Failed to fetch upsell products');
+          return response.json();
+        })
+        .then(data => (data.products || []).map(CartUpsell.normalize))
+        .catch(error => {
+          CartUpsell.cache.delete(url);
+          throw error;
+        });
+
+      CartUpsell.cache.set(url, request);
+    }
+
+    return CartUpsell.cache.get(url);
+  }
+
+  /**
+   * Bring collection and recommendation products into one shape
+   * Collection products.json has decimal prices in the store currency and image
+   * objects; recommendations have cents in the active currency and image URLs
+   * @param {object} product - Product JSON
+   * @returns {object}
+   */
+  static normalize(product) {
+    const variants = product.variants || [];
+    const variant = variants.find(entry => entry.available) || variants[0] || {};
+    const rate = parseFloat(window.Shopify?.currency?.rate || 1);
+    const price = typeof variant.price === 'string'
+      ? Math.round(parseFloat(variant.price) * 100 * rate)
+      : variant.price;
+
+    let image = product.featured_image || product.images?.[0] || null;
+    image = typeof image === 'object' && image ? image.src : image;
+
+    if (image) {
+      const imageUrl = new URL(image, window.location.href);
+      imageUrl.searchParams.set('width', 120);
+      image = imageUrl.toString();
+    }
+
+    return {
+      id: product.id,
+      title: product.title,
+      url: product.url || `${window.Shopify.routes.root}products/${product.handle}`,
+      image,
+      price: price || 0,
+      variantId: variant.id,
+      available: variants.some(entry => entry.available),
+      singleVariant: variants.length === 1
+    };
   }
 }
 
-customElements.define('cart-note', CartNote);
+CartUpsell.cache = new Map();
+
+customElements.define('cart-upsell', CartUpsell);
 
 /**
  * Cart Add Button Component
@@ -714,8 +3469,14 @@ if (document.readyState === 'loading') {
 
 function initializeCart() {
   console.log('Cart system initialized');
+
+  // Optimistic updates and tab sync work from local cart data, so load it up front
+  if (document.querySelector('[data-cart-count], [data-cart-main-section], [data-cart-preview-section]')) {
+    window.CartAPI.get().catch(() => {});
+  }
   
   // Auto-update cart sections on any cart update
+  // This is the only render path, components just run the mutation
   window.CartEvents.subscribe('cart:update', async (data) => {
     console.log('Cart updated:', data);
     
@@ -743,6 +3504,41 @@ function initializeCart() {
     updateCartCount(data.cart.item_count);
   });
 
+  // Validate cart attributes, stock and quantity rules before going to checkout
+  document.addEventListener('submit', async (event) => {
+    const button = event.submitter;
+    if (!button?.matches('[data-cart-checkout-button]') || button.dataset.validated) return;
+
+    event.preventDefault();
+    button.disabled = true;
+    const valid = await validateCheckout(button);
+    button.disabled = false;
+
+    if (!valid) return;
+
+    // requestSubmit dispatches synchronously, the flag only lets this one through
+    button.dataset.validated = 'true';
+    event.target.requestSubmit(button);
+    delete button.dataset.validated;
+  });
+
+  // The drawer has no cart form, its checkout button goes to checkout itself
+  document.addEventListener('click', async (event) => {
+    const button = event.target.closest('[data-cart-checkout-button]');
+    if (!button || button.form) return;
+
+    event.preventDefault();
+    if (button.getAttribute('aria-disabled') === 'true') return;
+
+    button.setAttribute('aria-disabled', 'true');
+    const valid = await validateCheckout(button);
+    button.removeAttribute('aria-disabled');
+
+    if (valid) {
+      window.location.href = button.getAttribute('href') || `${window.Shopify.routes.root}checkout`;
+    }
+  });
+
   // Auto-open cart preview when item is added (outside cart page)
   window.CartEvents.subscribe('cart:add', (data) => {
     const isCartPage = window.location.pathname === '/cart' || window.location.pathname.includes('/cart');
@@ -756,12 +3552,34 @@ function initializeCart() {
     }
   });
   
-  // Helper function to update cart count badges
-  function updateCartCount(count) {
-    const badges = document.querySelectorAll('[data-cart-count]');
-    badges.forEach(badge => {
-      badge.textContent = count;
-      badge.style.display = count > 0 ? '' : 'none';
-    });
+  /**
+   * Check required cart attributes, stock and quantity rules of the cart the
+   * shopper checks out from, and point them to the first problem
+   * @param {HTMLElement} button - Checkout button or link
+   * @returns {Promise<boolean>} True when checkout can go ahead
+   */
+  async function validateCheckout(button) {
+    const scope = button.closest('[data-cart-main-section], [data-cart-preview-section]') || document;
+    const invalid = await CartAttribute.validateAll(scope);
+
+    if (invalid.length > 0) {
+      invalid[0].scrollIntoView({ behavior: 'smooth', block: 'center' });
+      invalid[0].focusField();
+      return false;
+    }
+
+    let issues = [];
+    try {
+      issues = await window.CartAPI.validate();
+    } catch (error) {
+      // Checkout does its own checks, don't block it when validation itself fails
+      console.error('Cart validation failed:', error);
+    }
+
+    if (issues.length === 0) return true;
+
+    scope.querySelector('[data-validation-notice]:not([hidden])')
+      ?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    return false;
   }
 }
\ No newline at end of file
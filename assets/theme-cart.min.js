@@ -1 +1 @@
-class CartEvents{constructor(){this.events={}}subscribe(t,e){return this.events[t]||(this.events[t]=[]),this.events[t].push(e),()=>{this.events[t]=this.events[t].filter((t=>t!==e))}}publish(t,e){this.events[t]&&this.events[t].forEach((t=>t(e)))}}window.CartEvents=new CartEvents;class CartUpdater{constructor(){this.isUpdating=!1}getSectionsToUpdate(t="page",e=null){const a=[],n="page"===t?document.querySelector("[data-cart-main-section]")?.dataset.cartMainSection:document.querySelector("[data-cart-preview-section]")?.dataset.cartPreviewSection;if(!n)return a;if("page"===t){const t=document.querySelector("[data-cart-main-section]");if(e&&0===e.item_count&&t)return a.push({id:n,selector:"[data-cart-main-section]",target:t,replaceWhole:!0}),a;const i=document.querySelector("[data-cart-items-section]"),r=document.querySelector("[data-cart-subtotal-section]"),s=document.querySelector("[data-cart-payments-section]");i&&a.push({id:n,selector:"[data-cart-items-section]",target:i}),r&&a.push({id:n,selector:"[data-cart-subtotal-section]",target:r}),s&&a.push({id:n,selector:"[data-cart-payments-section]",target:s})}else if("drawer"===t||"preview"===t){const t=document.querySelector("[data-cart-preview-section]");if(!t)return a;const e=t.querySelector("[data-cart-items-section]"),i=t.querySelector("[data-cart-subtotal-section]"),r=t.querySelector("[data-cart-payments-section]");e&&a.push({id:n,selector:"[data-cart-preview-section] [data-cart-items-section]",target:e}),i&&a.push({id:n,selector:"[data-cart-preview-section] [data-cart-subtotal-section]",target:i}),r&&a.push({id:n,selector:"[data-cart-preview-section] [data-cart-payments-section]",target:r})}return a}async updateSections(t,e){if(!t||0===t.length)return;const a=t.map((t=>t.id)).filter(Boolean);if(0!==a.length)try{const e=new URLSearchParams({sections:a.join(",")}),n=await fetch(`${window.Shopify.routes.root}?${e}`),i=await n.json();return t.forEach((t=>{if(!t.target||!t.selector||!t.id)return;const e=i[t.id];if(!e)return;const a=(new DOMParser).parseFromString(e,"text/html").querySelector(t.selector);a&&(t.replaceWhole?t.target.outerHTML=a.outerHTML:t.target.innerHTML=a.innerHTML)})),!0}catch(t){return console.error("Cart section update failed:",t),!1}}async update(t={}){const{context:e="page",cartData:a=null,skipSections:n=[]}=t;if(!this.isUpdating){this.isUpdating=!0,window.CartEvents.publish("cart:loading",{context:e});try{let t=this.getSectionsToUpdate(e,a);return t=t.filter((t=>!n.includes(t.id))),await this.updateSections(t,a),window.CartEvents.publish("cart:loaded",{context:e,cartData:a}),!0}catch(t){return console.error("Cart update failed:",t),window.CartEvents.publish("cart:error",{error:t,context:e}),!1}finally{this.isUpdating=!1}}}}window.CartUpdater=new CartUpdater;class CartAPI{async add(t){window.CartEvents.publish("cart:loading",{action:"add"});try{const e=await fetch(window.Shopify.routes.root+"cart/add.js",{method:"POST",headers:{"Content-Type":"application/json","X-Requested-With":"XMLHttpRequest"},body:JSON.stringify(t)});if(!e.ok){const t=await e.json();throw new Error(t.description||"Failed to add item to cart")}const a=await e.json(),n=await this.get();return window.CartEvents.publish("cart:add",{item:a,cart:n}),window.CartEvents.publish("cart:update",{cart:n,action:"add"}),n}catch(t){throw console.error("Add to cart failed:",t),window.CartEvents.publish("cart:error",{error:t,action:"add"}),t}}async change(t){window.CartEvents.publish("cart:loading",{action:"change"});try{const e=await fetch(window.Shopify.routes.root+"cart/change.js",{method:"POST",headers:{"Content-Type":"application/json","X-Requested-With":"XMLHttpRequest"},body:JSON.stringify(t)});if(!e.ok){const t=await e.json();throw new Error(t.description||"Failed to update cart")}const a=await e.json();return window.CartEvents.publish("cart:change",{cart:a,line:t.line,quantity:t.quantity}),window.CartEvents.publish("cart:update",{cart:a,action:"change"}),a}catch(t){throw console.error("Cart change failed:",t),window.CartEvents.publish("cart:error",{error:t,action:"change"}),t}}async update(t){window.CartEvents.publish("cart:loading",{action:"update"});try{const e=await fetch(window.Shopify.routes.root+"cart/update.js",{method:"POST",headers:{"Content-Type":"application/json","X-Requested-With":"XMLHttpRequest"},body:JSON.stringify({updates:t})});if(!e.ok){const t=await e.json();throw new Error(t.description||"Failed to update cart")}const a=await e.json();return window.CartEvents.publish("cart:update",{cart:a,action:"update"}),a}catch(t){throw console.error("Cart update failed:",t),window.CartEvents.publish("cart:error",{error:t,action:"update"}),t}}async get(){try{const t=await fetch(window.Shopify.routes.root+"cart.js",{headers:{"X-Requested-With":"XMLHttpRequest"}});if(!t.ok)throw new Error("Failed to fetch cart data");return await t.json()}catch(t){throw console.error("Get cart failed:",t),t}}async updateNote(t){window.CartEvents.publish("cart:loading",{action:"note"});try{const e=await fetch(window.Shopify.routes.root+"cart/update.js",{method:"POST",headers:{"Content-Type":"application/json","X-Requested-With":"XMLHttpRequest"},body:JSON.stringify({note:t})});if(!e.ok)throw new Error("Failed to update cart note");const a=await e.json();return window.CartEvents.publish("cart:note",{cart:a,note:t}),window.CartEvents.publish("cart:update",{cart:a,action:"note"}),a}catch(t){throw console.error("Update cart note failed:",t),window.CartEvents.publish("cart:error",{error:t,action:"note"}),t}}async clear(){window.CartEvents.publish("cart:loading",{action:"clear"});try{if(!(await fetch(window.Shopify.routes.root+"cart/clear.js",{method:"POST",headers:{"X-Requested-With":"XMLHttpRequest"}})).ok)throw new Error("Failed to clear cart");const t=await this.get();return window.CartEvents.publish("cart:update",{cart:t,action:"clear"}),t}catch(t){throw console.error("Clear cart failed:",t),window.CartEvents.publish("cart:error",{error:t,action:"clear"}),t}}}window.CartAPI=new CartAPI;class CartRemoveButton extends HTMLElement{constructor(){super(),this.addEventListener("click",this.handleClick.bind(this))}async handleClick(t){t.preventDefault();const e=parseInt(this.dataset.line),a=this.closest("[data-cart-context]")?.dataset.cartContext||"page";this.enableLoading();try{const t=await window.CartAPI.change({line:e,quantity:0});await window.CartUpdater.update({context:a,cartData:t}),window.CartEvents.publish("cart:remove",{line:e,cart:t})}catch(t){this.showError(t.message)}finally{this.disableLoading()}}enableLoading(){this.classList.add("loading"),this.disabled=!0}disableLoading(){this.classList.remove("loading"),this.disabled=!1}showError(t){console.error("Remove failed:",t)}}customElements.define("cart-remove-button",CartRemoveButton);class CartQuantityInput extends HTMLElement{constructor(){super(),this.input=this.querySelector('input[type="number"]'),this.minusBtn=this.querySelector('[name="minus"]'),this.plusBtn=this.querySelector('[name="plus"]'),this.debounceTimer=null,this.input&&this.input.addEventListener("change",this.handleChange.bind(this)),this.minusBtn&&this.minusBtn.addEventListener("click",this.handleMinus.bind(this)),this.plusBtn&&this.plusBtn.addEventListener("click",this.handlePlus.bind(this))}async handleChange(t){clearTimeout(this.debounceTimer),this.debounceTimer=setTimeout((async()=>{let t=parseInt(this.input.value);const e=parseInt(this.input.dataset.line),a=this.closest("[data-cart-context]")?.dataset.cartContext||"page",n=parseInt(this.input.dataset.min||1),i=this.input.max?parseInt(this.input.max):null;parseInt(this.input.step||1);(isNaN(t)||t<n)&&(t=n,this.input.value=n),i&&t>i&&(t=i,this.input.value=i,this.showError(`Maximum quantity is ${i}`)),this.enableLoading();try{const n=await window.CartAPI.change({line:e,quantity:t});await window.CartUpdater.update({context:a,cartData:n})}catch(t){this.showError(t.message),this.input.value=this.input.dataset.previousValue||n}finally{this.disableLoading()}}),500)}handleMinus(t){t.preventDefault();const e=parseInt(this.input.value),a=parseInt(this.input.dataset.min||0),n=parseInt(this.input.step||1);e-n>=a&&(this.input.value=e-n,this.input.dispatchEvent(new Event("change")))}handlePlus(t){t.preventDefault();const e=parseInt(this.input.value),a=this.input.max?parseInt(this.input.max):null,n=parseInt(this.input.step||1);(!a||e+n<=a)&&(this.input.value=e+n,this.input.dispatchEvent(new Event("change")))}enableLoading(){this.classList.add("loading"),this.input.disabled=!0,this.minusBtn&&(this.minusBtn.disabled=!0),this.plusBtn&&(this.plusBtn.disabled=!0)}disableLoading(){this.classList.remove("loading"),this.input.disabled=!1,this.minusBtn&&(this.minusBtn.disabled=!1),this.plusBtn&&(this.plusBtn.disabled=!1)}showError(t){const e=this.closest("[data-cart-item]")?.querySelector("[data-cart-item-error]");e&&(e.textContent=t,e.style.display="block",setTimeout((()=>{e.style.display="none"}),3e3))}}customElements.define("cart-quantity-input",CartQuantityInput);class CartNote extends HTMLElement{constructor(){super(),this.textarea=this.querySelector("textarea"),this.debounceTimer=null,this.textarea&&this.textarea.addEventListener("input",this.handleInput.bind(this))}handleInput(t){clearTimeout(this.debounceTimer),this.debounceTimer=setTimeout((async()=>{const t=this.textarea.value;try{await window.CartAPI.updateNote(t)}catch(t){console.error("Update note failed:",t)}}),1e3)}}customElements.define("cart-note",CartNote);class CartAddButton extends HTMLElement{constructor(){super(),this.button=this.querySelector("button"),this.button&&this.button.addEventListener("click",this.handleClick.bind(this))}async handleClick(t){t.preventDefault();const e=this.dataset.variantId,a=parseInt(this.dataset.quantity||1);if(e&&!this.classList.contains("loading")){this.enableLoading();try{await window.CartAPI.add({id:parseInt(e),quantity:a})}catch(t){console.error("Add to cart failed:",t)}finally{this.disableLoading()}}}enableLoading(){this.classList.add("loading"),this.button&&(this.button.disabled=!0)}disableLoading(){this.classList.remove("loading"),this.button&&(this.button.disabled=!1)}}function initializeCart(){console.log("Cart system initialized"),window.CartEvents.subscribe("cart:update",(async t=>{console.log("Cart updated:",t);const e=document.querySelector("[data-cart-main-section]"),a=document.querySelector("[data-cart-preview-section]");var n;e&&await window.CartUpdater.update({context:"page",cartData:t.cart}),a&&await window.CartUpdater.update({context:"preview",cartData:t.cart}),n=t.cart.item_count,document.querySelectorAll("[data-cart-count]").forEach((t=>{t.textContent=n,t.style.display=n>0?"":"none"}))})),window.CartEvents.subscribe("cart:add",(t=>{!("/cart"===window.location.pathname||window.location.pathname.includes("/cart"))&&window.CartPreview&&"function"==typeof window.CartPreview.open&&setTimeout((()=>{window.CartPreview.open()}),300)}))}customElements.define("cart-add-button",CartAddButton),"loading"===document.readyState?document.addEventListener("DOMContentLoaded",initializeCart):initializeCart();
\ No newline at end of file
+class CartUpdater{constructor(){this.isUpdating=!1,this.pending=new Map,this.running=null,this.optimistic=new Map}getSectionsToUpdate(t="page",e=null){const a=[],i="page"===t?document.querySelector("[data-cart-main-section]")?.dataset.cartMainSection:document.querySelector("[data-cart-preview-section]")?.dataset.cartPreviewSection;if(!i)return a;if("page"===t){const t=document.querySelector("[data-cart-main-section]"),r=t&&!t.querySelector("[data-cart-items-section]");if(e&&t&&(0===e.item_count||r))return a.push({id:i,selector:"[data-cart-main-section]",target:t,replaceWhole:!0}),a;const s=document.querySelector("[data-cart-items-section]"),n=document.querySelector("[data-cart-subtotal-section]"),o=document.querySelector("[data-cart-payments-section]");s&&a.push({id:i,selector:"[data-cart-items-section]",target:s}),n&&a.push({id:i,selector:"[data-cart-subtotal-section]",target:n}),o&&a.push({id:i,selector:"[data-cart-payments-section]",target:o})}else if("drawer"===t||"preview"===t){const t=document.querySelector("[data-cart-preview-section]");if(!t)return a;const e=t.querySelector("[data-cart-items-section]"),r=t.querySelector("[data-cart-subtotal-section]"),s=t.querySelector("[data-cart-payments-section]");e&&a.push({id:i,selector:"[data-cart-preview-section] [data-cart-items-section]",target:e}),r&&a.push({id:i,selector:"[data-cart-preview-section] [data-cart-subtotal-section]",target:r}),s&&a.push({id:i,selector:"[data-cart-preview-section] [data-cart-payments-section]",target:s})}return a}getSectionIds(){const t=["page","preview"].flatMap(t=>this.getSectionsToUpdate(t)).map(t=>t.id);return[...new Set(t)]}async updateSections(t,e,a=null){if(!t||0===t.length)return;const i=t.map(t=>t.id).filter(Boolean);if(0!==i.length)try{if(!(a&&i.every(t=>a[t]))){const t=new URLSearchParams({sections:i.join(",")}),e=await fetch(`${window.Shopify.routes.root}?${t}`);a=await e.json()}return t.forEach(t=>{if(!t.target||!t.selector||!t.id)return;const e=a[t.id];if(!e)return;const i=(new DOMParser).parseFromString(e,"text/html").querySelector(t.selector);i&&(t.replaceWhole?t.target.outerHTML=i.outerHTML:t.target.innerHTML=i.innerHTML)}),!0}catch(t){return console.error("Cart section update failed:",t),!1}}update(t={}){const e=t.context||"page";return this.pending.set(e,t),this.isUpdating||(this.running=this.flush()),this.running}async flush(){this.isUpdating=!0;let t=!0;try{for(;this.pending.size>0;){const[e,a]=this.pending.entries().next().value;this.pending.delete(e),t=await this.render(a)}}finally{this.isUpdating=!1}return t}async render(t={}){const{context:e="page",cartData:a=null,sections:i=a?.sections||null,skipSections:r=[]}=t;window.CartEvents.publish("cart:loading",{context:e});try{let t=this.getSectionsToUpdate(e,a);return t=t.filter(t=>!r.includes(t.id)),await this.updateSections(t,a,i),window.CartEvents.publish("cart:loaded",{context:e,cartData:a}),!0}catch(t){return console.error("Cart update failed:",t),window.CartEvents.publish("cart:error",{error:t,context:e}),!1}}isOptimistic(t){return"true"===t?.closest("[data-cart-context]")?.dataset.cartOptimistic}applyOptimistic({key:t,quantity:e}){return window.CartAPI.cart?.items?.some(e=>e.key===t)?(this.optimistic.set(t,e),this.renderLocal(this.getLocalCart()),{key:t,quantity:e}):null}getLocalCart(){const t=window.CartAPI.cart;let e=t.item_count,a=t.total_price;const i=t.items.map(t=>{if(!this.optimistic.has(t.key))return t;const i=this.optimistic.get(t.key),r=document.querySelector(`[data-cart-item][data-key="${CSS.escape(t.key)}"] volume-pricing`),s=(r?.getPrice?r.getPrice(i):t.final_price)*i;return e+=i-t.quantity,a+=s-t.final_line_price,{...t,quantity:i,final_line_price:s,original_line_price:t.original_price*i}});return{...t,items:i,item_count:e,total_price:a}}rollback(t,e){if(!t)return;this.optimistic.get(t.key)===t.quantity&&this.optimistic.delete(t.key);const a=this.getLocalCart();this.renderLocal(a),window.CartEvents.publish("cart:rollback",{cart:a,key:t.key,error:e})}renderLocal(t){t.items.forEach(t=>{document.querySelectorAll(`[data-cart-item][data-key="${CSS.escape(t.key)}"]`).forEach(e=>{e.hidden=0===t.quantity;const a=e.querySelector("cart-quantity-input input");a&&document.activeElement!==a&&(a.value=t.quantity);const i=e.querySelector("[data-cart-item-total]");i&&renderLineTotal(i,t)})}),document.querySelectorAll("[data-cart-total]").forEach(e=>{e.textContent=window.themeMoney.format(t.total_price,{withCurrency:!0})}),updateCartCount(t.item_count)}}function renderLineTotal(t,e){if(e.original_line_price!==e.final_line_price){const a=document.createElement("s");a.className="cart-item-product__total-compare",a.textContent=window.themeMoney.format(e.original_line_price);const i=document.createElement("strong");i.className="cart-item-product__total-sale",i.textContent=window.themeMoney.format(e.final_line_price),t.replaceChildren(a,i)}else{const a=document.createElement("span");a.textContent=window.themeMoney.format(e.original_line_price),t.replaceChildren(a)}}function updateCartCount(t){document.querySelectorAll("[data-cart-count]").forEach(e=>{e.textContent=t,e.style.display=t>0?"":"none"})}window.CartUpdater=new CartUpdater,window.CartEvents.subscribe("cart:update",t=>{t.remote||window.CartUpdater.optimistic.clear()});class CartAPI{constructor(){this.queue=[],this.isProcessing=!1,this.lastUpdate=null,this.cart=null,this.validation=null,this.validating=null,this.products=new Map}enqueue(t,e,a){const i=this.queue.length>1?this.queue[this.queue.length-1]:null;if("change"===t&&i&&"change"===i.action&&this.isSameLine(i.data,e))return i.data={...i.data,...e},i.promise;const r={action:t,data:e,task:a};return r.promise=new Promise((t,e)=>{r.resolve=t,r.reject=e}),this.queue.push(r),this.processQueue(),r.promise}async runBeforeHooks(t,e){const a={action:t,payload:e,cancelled:!1,reason:null,cancel(t){this.cancelled=!0,this.reason=t}};if(await window.CartEvents.publishAsync(`cart:before-${t}`,a),a.cancelled){const t=new Error(a.reason||"Cart operation cancelled");throw t.cancelled=!0,t}return a.payload}withSections(t){const e=window.CartUpdater.getSectionIds();return 0===e.length?t:{...t,sections:e.join(","),sections_url:window.location.pathname}}isSameLine(t,e){return(void 0!==t.id?`id:${t.id}`:`line:${t.line}`)===(void 0!==e.id?`id:${e.id}`:`line:${e.line}`)}async processQueue(){if(!this.isProcessing){for(this.isProcessing=!0;this.queue.length>0;){const t=this.queue[0];try{const e=await t.task(t.data);this.cart=e,this.lastUpdate={cart:e,action:t.action},t.resolve(e)}catch(e){t.reject(e)}if(this.queue.shift(),0===this.queue.length&&this.lastUpdate){const t=this.lastUpdate;this.lastUpdate=null,window.CartEvents.publish("cart:update",t)}}this.isProcessing=!1}}add(t){return this.enqueue("add",t,async t=>{window.CartEvents.publish("cart:loading",{action:"add"});try{t=await this.runBeforeHooks("add",t);const e=await fetch(window.Shopify.routes.root+"cart/add.js",{method:"POST",headers:{"Content-Type":"application/json","X-Requested-With":"XMLHttpRequest"},body:JSON.stringify(this.withSections(t))});if(!e.ok){const t=await e.json();throw new Error(t.description||"Failed to add item to cart")}const{sections:a,...i}=await e.json(),r={...await this.get(),sections:a};return window.CartEvents.publish("cart:add",{item:i,cart:r}),r}catch(t){throw console.error("Add to cart failed:",t),window.CartEvents.publish("cart:error",{error:t,action:"add"}),t}})}change(t){return this.enqueue("change",t,async t=>{window.CartEvents.publish("cart:loading",{action:"change"});try{t=await this.runBeforeHooks("change",t);const e=await fetch(window.Shopify.routes.root+"cart/change.js",{method:"POST",headers:{"Content-Type":"application/json","X-Requested-With":"XMLHttpRequest"},body:JSON.stringify(this.withSections(t))});if(!e.ok){const t=await e.json();throw new Error(t.description||"Failed to update cart")}const a=await e.json();return window.CartEvents.publish("cart:change",{cart:a,key:t.id,line:t.line,quantity:t.quantity}),a}catch(t){throw console.error("Cart change failed:",t),window.CartEvents.publish("cart:error",{error:t,action:"change"}),t}})}update(t){return this.enqueue("update",t,async t=>{window.CartEvents.publish("cart:loading",{action:"update"});try{t=await this.runBeforeHooks("update",t);const e=await fetch(window.Shopify.routes.root+"cart/update.js",{method:"POST",headers:{"Content-Type":"application/json","X-Requested-With":"XMLHttpRequest"},body:JSON.stringify(this.withSections({updates:t}))});if(!e.ok){const t=await e.json();throw new Error(t.description||"Failed to update cart")}return await e.json()}catch(t){throw console.error("Cart update failed:",t),window.CartEvents.publish("cart:error",{error:t,action:"update"}),t}})}async validate(){this.validating=Promise.all([this.get(),this.getLimits()]);try{const[t,e]=await this.validating;this.validation={limits:e};const a=this.getIssues(t);return window.CartEvents.publish("cart:validated",{cart:t,issues:a}),a}finally{this.validating=null}}getIssues(t){const e=this.validation?.limits;if(!e||!t)return[];const a=[];return t.items.forEach((t,i)=>{const r=e[t.key],s=r?this.getLimitIssue(t.quantity,r):null;s&&a.push({line:i+1,key:t.key,quantity:t.quantity,allowed:this.getAllowedQuantity(t.quantity,r),reason:s,limit:r})}),a}async getLimits(){const t=await fetch(window.Shopify.routes.root+"cart?view=limits",{headers:{"X-Requested-With":"XMLHttpRequest"}});if(!t.ok)throw new Error("Failed to fetch cart limits");const{items:e}=await t.json();return Object.fromEntries(e.map(t=>[t.key,t]))}getLimitIssue(t,e){return null!==e.available&&e.available<=0?"sold_out":null!==e.available&&t>e.available?"stock":e.max&&t>e.max?"max":t<e.min?"min":t%e.increment!==0?"increment":null}getAllowedQuantity(t,e){let a=e.max||1/0;null!==e.available&&(a=Math.min(a,e.available));let i=Math.min(Math.max(t,e.min),a);return i-=i%e.increment,i>=e.min?i:0}adjustQuantities(t){return this.update(Object.fromEntries(t.map(t=>[t.key,t.allowed])))}async get(){try{const t=await fetch(window.Shopify.routes.root+"cart.js",{headers:{"X-Requested-With":"XMLHttpRequest"}});if(!t.ok)throw new Error("Failed to fetch cart data");return this.cart=await t.json(),this.cart}catch(t){throw console.error("Get cart failed:",t),t}}updateNote(t){return this.enqueue("note",{note:t},async t=>{window.CartEvents.publish("cart:loading",{action:"note"});try{const e=await fetch(window.Shopify.routes.root+"cart/update.js",{method:"POST",headers:{"Content-Type":"application/json","X-Requested-With":"XMLHttpRequest"},body:JSON.stringify(t)});if(!e.ok)throw new Error("Failed to update cart note");const a=await e.json();return window.CartEvents.publish("cart:note",{cart:a,note:t.note}),a}catch(t){throw console.error("Update cart note failed:",t),window.CartEvents.publish("cart:error",{error:t,action:"note"}),t}})}updateAttributes(t){return this.enqueue("attributes",{attributes:t},async t=>{window.CartEvents.publish("cart:loading",{action:"attributes"});try{const e=await fetch(window.Shopify.routes.root+"cart/update.js",{method:"POST",headers:{"Content-Type":"application/json","X-Requested-With":"XMLHttpRequest"},body:JSON.stringify(t)});if(!e.ok)throw new Error("Failed to update cart attributes");const a=await e.json();return window.CartEvents.publish("cart:attributes",{cart:a,attributes:t.attributes}),a}catch(t){throw console.error("Update cart attributes failed:",t),window.CartEvents.publish("cart:error",{error:t,action:"attributes"}),t}})}applyDiscount(t){if(!(t=String(t||"").trim())){const t=new Error("Discount code is empty");return t.code="discount_empty",Promise.reject(t)}return this.enqueue("discount",{code:t},async t=>{window.CartEvents.publish("cart:loading",{action:"discount"});try{const e=this.getDiscountCodes(await this.get()),a=e.filter(e=>e.toLowerCase()!==t.code.toLowerCase()),i=await this.requestDiscounts([...a,t.code]),r=(i.discount_codes||[]).find(e=>e.code.toLowerCase()===t.code.toLowerCase());if(!r||!r.applicable){await this.requestDiscounts(e);const t=new Error(r?"Discount code is not applicable":"Discount code is invalid");throw t.code=r?"discount_not_applicable":"discount_invalid",t}return window.CartEvents.publish("cart:discount",{cart:i,code:t.code,applied:!0}),i}catch(t){throw console.error("Apply discount failed:",t),window.CartEvents.publish("cart:error",{error:t,action:"discount"}),t}})}removeDiscount(t=null){if(null!==t&&!(t=String(t).trim())){const t=new Error("Discount code is empty");return t.code="discount_empty",Promise.reject(t)}return this.enqueue("discount",{code:t},async t=>{window.CartEvents.publish("cart:loading",{action:"discount"});try{const e=t.code?this.getDiscountCodes(await this.get()).filter(e=>e.toLowerCase()!==t.code.toLowerCase()):[],a=await this.requestDiscounts(e);return window.CartEvents.publish("cart:discount",{cart:a,code:t.code,applied:!1}),a}catch(t){throw console.error("Remove discount failed:",t),window.CartEvents.publish("cart:error",{error:t,action:"discount"}),t}})}getDiscountCodes(t){return(t.discount_codes||[]).map(t=>t.code)}async requestDiscounts(t){const e=await fetch(window.Shopify.routes.root+"cart/update.js",{method:"POST",headers:{"Content-Type":"application/json","X-Requested-With":"XMLHttpRequest"},body:JSON.stringify(this.withSections({discount:t.join(",")}))});if(!e.ok){const t=await e.json();throw new Error(t.description||"Failed to update discount codes")}return await e.json()}swapVariant(t){return this.enqueue("swap",t,async t=>{window.CartEvents.publish("cart:loading",{action:"swap"});try{const i=await this.get(),r=t.line-1,s=i.items[r];if(!s)throw new Error("Cart line not found");const n=(await this.getProduct(s.handle)).variants.find(e=>e.id===parseInt(t.id));if(!n||!n.available){const t=new Error("Variant is not available");throw t.code="variant_unavailable",t}const o=i.items.slice(0,r).map(t=>this.toLineItem(t)),c=this.toLineItem(s),d={...c,id:n.id},{items:l}=await this.runBeforeHooks("add",{items:[d]}),h=i.items.slice(0,r+1);if(!(await(e="cart/update.js",a={updates:Object.fromEntries(h.map(t=>[t.key,0]))},fetch(window.Shopify.routes.root+e,{method:"POST",headers:{"Content-Type":"application/json","X-Requested-With":"XMLHttpRequest"},body:JSON.stringify(a)}))).ok)throw new Error("Failed to update cart");const u=await this.addLines([...o,...l],!0);if(!u.ok){const t=await u.json(),e=await this.addLines([...o,c]);throw e.ok||console.error("Restoring the swapped lines failed:",await e.json()),new Error(t.description||"Failed to update cart")}const{sections:p}=await u.json(),w={...await this.get(),sections:p};return window.CartEvents.publish("cart:swap",{cart:w,line:t.line,from:s.variant_id,to:n.id}),w}catch(t){throw console.error("Variant swap failed:",t),window.CartEvents.publish("cart:error",{error:t,action:"swap"}),t}var e,a})}addLines(t,e=!1){const a={items:[...t].reverse()};return fetch(window.Shopify.routes.root+"cart/add.js",{method:"POST",headers:{"Content-Type":"application/json","X-Requested-With":"XMLHttpRequest"},body:JSON.stringify(e?this.withSections(a):a)})}async getProduct(t){if(!this.products.has(t)){const e=fetch(`${window.Shopify.routes.root}products/${t}.js`).then(t=>{if(!t.ok)throw new Error("Failed to fetch product data");return t.json()});this.products.set(t,e),e.catch(()=>this.products.delete(t))}return this.products.get(t)}toLineItem(t){const e={id:t.variant_id,quantity:t.quantity,properties:t.properties||{}};return t.selling_plan_allocation&&(e.selling_plan=t.selling_plan_allocation.selling_plan.id),e}async replaceItems(t,e){if(!(await fetch(window.Shopify.routes.root+"cart/clear.js",{method:"POST",headers:{"X-Requested-With":"XMLHttpRequest"}})).ok)throw new Error("Failed to update cart");const a=await this.addLines(t,!0);if(!a.ok){const t=new Error((await a.json()).description||"Failed to update cart"),i=await this.addLines(e);throw i.ok||(console.error("Restoring the previous cart failed:",await i.json()),t.restoreFailed=!0),t}const{sections:i}=await a.json();return{...await this.get(),sections:i}}clear(){return this.enqueue("clear",{},async()=>{window.CartEvents.publish("cart:loading",{action:"clear"});try{if(!(await fetch(window.Shopify.routes.root+"cart/clear.js",{method:"POST",headers:{"X-Requested-With":"XMLHttpRequest"}})).ok)throw new Error("Failed to clear cart");return await this.get()}catch(t){throw console.error("Clear cart failed:",t),window.CartEvents.publish("cart:error",{error:t,action:"clear"}),t}})}async exportCart(){const t=await fetch(window.Shopify.routes.root+"cart?view=share",{headers:{"X-Requested-With":"XMLHttpRequest"}});if(!t.ok)throw new Error("Failed to export cart");const{token:e}=await t.json();if(!e){const t=new Error("Cart links are not available");throw t.code="share_unavailable",t}return e}async getShareUrl(){const t=new URL(window.Shopify.routes.root+"cart",window.location.origin);return t.searchParams.set("restore",await this.exportCart()),t.toString()}async readToken(t){const e=()=>{const t=new Error("Cart link is invalid");return t.code="restore_invalid",t};if(t=String(t||""),!/^[\w-]+\.[0-9a-f]{24}$/.test(t))throw e();const a=await fetch(`${window.Shopify.routes.root}search?view=cart-share&q=${encodeURIComponent(t)}`,{headers:{"X-Requested-With":"XMLHttpRequest"}});if(!a.ok)throw new Error("Failed to check cart link");const{valid:i}=await a.json();if(!i)throw e();const[r]=t.split(".");let s;try{s=JSON.parse((new TextDecoder).decode(decodeBase64Url(r)))}catch(t){throw e()}const[n,o,c="",d=[]]=Array.isArray(s)?s:[];if(1!==n||!Array.isArray(o)||0===o.length||!o.every(CartAPI.isTokenLine))throw e();if("string"!=typeof c||!Array.isArray(d)||!d.every(t=>"string"==typeof t))throw e();return{items:o.map(([t,e,a,i])=>{const r={id:t,quantity:e,properties:a||{}};return i&&(r.selling_plan=i),r}),note:c,discounts:d}}static isTokenLine(t){if(!Array.isArray(t)||t.length<2||t.length>4)return!1;const[e,a,i={},r=null]=t,s=t=>Number.isSafeInteger(t)&&t>0;return s(e)&&s(a)&&(null!==(n=i)&&"object"==typeof n&&!Array.isArray(n)&&Object.values(n).every(t=>"string"==typeof t))&&(null===r||s(r));var n}restoreCart(t,e="replace"){return this.enqueue("restore",{token:t,mode:e},async t=>{window.CartEvents.publish("cart:loading",{action:"restore"});try{const e=await this.readToken(t.token),a=await this.get(),{items:i}=await this.runBeforeHooks("add",{items:e.items});let r=e.note,s=e.discounts;if("merge"===t.mode){const t=await this.addLines(i);if(!t.ok){const e=await t.json();throw new Error(e.description||"Failed to restore cart")}r=[...new Set([a.note,e.note].filter(Boolean))].join("\n\n"),s=[...new Set([...this.getDiscountCodes(a),...e.discounts])]}else await this.replaceItems(i,a.items.map(t=>this.toLineItem(t)));const n=await fetch(window.Shopify.routes.root+"cart/update.js",{method:"POST",headers:{"Content-Type":"application/json","X-Requested-With":"XMLHttpRequest"},body:JSON.stringify(this.withSections({note:r,discount:s.join(",")}))});if(!n.ok)throw new Error("Failed to restore cart");const o=await n.json();return window.CartEvents.publish("cart:restore",{cart:o,mode:t.mode}),o}catch(t){throw console.error("Restore cart failed:",t),window.CartEvents.publish("cart:error",{error:t,action:"restore"}),t}})}}function decodeBase64Url(t){const e=atob(t.replace(/-/g,"+").replace(/_/g,"/"));return Uint8Array.from(e,t=>t.charCodeAt(0))}window.CartAPI=new CartAPI;class CartSync{constructor(){this.channelName="theme-cart",this.storageKey="theme_cart_sync",this.channel="BroadcastChannel"in window?new BroadcastChannel(this.channelName):null,window.CartEvents.subscribe("cart:update",this.broadcast.bind(this)),this.channel?this.channel.addEventListener("message",t=>this.receive(t.data)):window.addEventListener("storage",this.handleStorage.bind(this)),document.addEventListener("visibilitychange",this.handleVisibilityChange.bind(this))}broadcast(t){if(!t||t.remote||!t.cart)return;const{sections:e,...a}=t.cart,i={cart:a,action:t.action,timestamp:Date.now()};try{this.channel?this.channel.postMessage(i):localStorage.setItem(this.storageKey,JSON.stringify(i))}catch(t){console.error("Cart sync broadcast failed:",t)}}handleStorage(t){if(t.key===this.storageKey&&t.newValue)try{this.receive(JSON.parse(t.newValue))}catch(t){console.error("Cart sync message invalid:",t)}}receive(t){t?.cart&&(window.CartAPI.cart=t.cart,window.CartEvents.publish("cart:update",{cart:t.cart,action:t.action,remote:!0}))}async handleVisibilityChange(){if("visible"!==document.visibilityState)return;const t=window.CartAPI.cart;if(t)try{const e=await window.CartAPI.get();this.getSignature(e)!==this.getSignature(t)&&window.CartEvents.publish("cart:update",{cart:e,action:"sync",remote:!0})}catch(t){console.error("Cart sync check failed:",t)}}getSignature(t){const e=(t.items||[]).map(t=>`${t.key}:${t.quantity}`);return[t.item_count,t.total_price,t.note||"",...e].join("|")}}window.CartSync=new CartSync;class CartSaved{constructor(){this.storageKey="theme_saved_for_later",this.entries=null}getItems(){return this.getEntries().filter(t=>!t.removed)}getEntries(){if(this.entries)return this.entries;let t=[];try{t=JSON.parse(localStorage.getItem(this.storageKey)||"[]")}catch(e){t=[]}let e=[];try{e=JSON.parse(document.querySelector("[data-saved-items]")?.textContent||"[]")||[]}catch(t){e=[]}const a=new Map;[...e,...t].forEach(t=>{const e=this.getSignature(t),i=a.get(e);(!i||(t.updated_at||0)>(i.updated_at||0))&&a.set(e,t)});const i=Date.now()-CartSaved.markerAge;return this.entries=[...a.values()].filter(t=>!t.removed||t.updated_at>i).sort((t,e)=>(e.updated_at||0)-(t.updated_at||0)),this.entries}getSignature(t){return`${t.id}:${JSON.stringify(t.properties||{})}`}find(t){const e=this.getSignature(t);return this.getItems().find(t=>this.getSignature(t)===e)}async save(t){const e=(await window.CartAPI.get()).items.find(e=>e.key===t);if(!e)throw new Error("Cart line not found");const a=await window.CartAPI.change({id:t,quantity:0}),i={id:e.variant_id,quantity:e.quantity,properties:e.properties||{},title:e.product_title,variant_title:e.product_has_only_default_variant?null:e.variant_title,image:e.image,price:e.final_price,url:e.url},r=this.find(i);return r&&(i.quantity+=r.quantity),this.setEntry({...i,updated_at:Date.now()}),window.CartEvents.publish("cart:saved",{item:i,cart:a}),a}async restore(t){const e=this.getItems()[t];if(!e)throw new Error("Saved item not found");const a=await window.CartAPI.add({items:[{id:e.id,quantity:e.quantity,properties:e.properties}]});return this.discard(e),window.CartEvents.publish("cart:restored",{item:e,cart:a}),a}remove(t){const e=this.getItems()[t];e&&this.discard(e)}discard(t){this.setEntry({id:t.id,properties:t.properties||{},removed:!0,updated_at:Date.now()})}setEntry(t){const e=this.getSignature(t);this.entries=[t,...this.getEntries().filter(t=>this.getSignature(t)!==e)],this.persist()}persist(){try{localStorage.setItem(this.storageKey,JSON.stringify(this.entries))}catch(t){console.error("Saving list failed:",t)}const t=document.querySelector("[data-saved-items]")?.dataset.syncUrl;t&&fetch(t,{method:"POST",headers:{"Content-Type":"application/json","X-Requested-With":"XMLHttpRequest"},body:JSON.stringify({items:this.entries})}).catch(t=>console.error("Saved list sync failed:",t))}}CartSaved.markerAge=2592e6,window.CartSaved=new CartSaved;class CartRemoveButton extends HTMLElement{constructor(){super(),this.addEventListener("click",this.handleClick.bind(this))}async handleClick(t){t.preventDefault();const e=this.dataset.key,a=window.CartUpdater.isOptimistic(this)?window.CartUpdater.applyOptimistic({key:e,quantity:0}):null;this.enableLoading();try{const t=await window.CartAPI.change({id:e,quantity:0});window.CartEvents.publish("cart:remove",{key:e,cart:t})}catch(t){window.CartUpdater.rollback(a,t),this.showError(t.message)}finally{this.disableLoading()}}enableLoading(){this.classList.add("loading"),this.disabled=!0}disableLoading(){this.classList.remove("loading"),this.disabled=!1}showError(t){console.error("Remove failed:",t)}}customElements.define("cart-remove-button",CartRemoveButton);class CartSaveButton extends HTMLElement{constructor(){super(),this.addEventListener("click",this.handleClick.bind(this))}async handleClick(t){if(t.preventDefault(),!this.classList.contains("loading")){this.classList.add("loading");try{await window.CartSaved.save(this.dataset.key)}catch(t){console.error("Save for later failed:",t)}finally{this.classList.remove("loading")}}}}customElements.define("cart-save-button",CartSaveButton);class CartSavedList extends HTMLElement{connectedCallback(){this.list=this.querySelector("[data-saved-list]"),this.template=this.querySelector("template[data-saved-item-template]"),this.render(),this.unsubscribers=["cart:saved","cart:restored"].map(t=>window.CartEvents.subscribe(t,()=>this.render())),this.addEventListener("click",this.handleClick.bind(this))}disconnectedCallback(){(this.unsubscribers||[]).forEach(t=>t())}render(){if(!this.list||!this.template)return;const t=window.CartSaved.getItems();this.hidden=0===t.length,this.list.replaceChildren(...t.map((t,e)=>this.renderItem(t,e)))}renderItem(t,e){const a=this.template.content.cloneNode(!0).firstElementChild,i=a.querySelector("[data-saved-link]"),r=a.querySelector("[data-saved-image]");return a.dataset.index=e,a.querySelector("[data-saved-title]").textContent=t.title,a.querySelector("[data-saved-variant]").textContent=t.variant_title||"",a.querySelector("[data-saved-price]").innerHTML=window.themeMoney.formatHtml(t.price),i&&(i.href=t.url),r&&t.image?(r.src=t.image,r.alt=t.title):r&&r.remove(),a}async handleClick(t){const e=t.target.closest("[data-saved-restore]"),a=t.target.closest("[data-saved-remove]"),i=t.target.closest("[data-index]");if(!i||!e&&!a)return;t.preventDefault();const r=parseInt(i.dataset.index);if(a)return window.CartSaved.remove(r),void document.querySelectorAll("cart-saved-list").forEach(t=>t.render());e.disabled=!0,i.classList.add("loading");try{await window.CartSaved.restore(r)}catch(t){console.error("Move to cart failed:",t),e.disabled=!1,i.classList.remove("loading")}}}customElements.define("cart-saved-list",CartSavedList);class CartQuantityInput extends HTMLElement{constructor(){super(),this.input=this.querySelector('input[type="number"]'),this.minusBtn=this.querySelector('[name="minus"]'),this.plusBtn=this.querySelector('[name="plus"]'),this.debounceTimer=null,this.input&&this.input.addEventListener("change",this.handleChange.bind(this)),this.minusBtn&&this.minusBtn.addEventListener("click",this.handleMinus.bind(this)),this.plusBtn&&this.plusBtn.addEventListener("click",this.handlePlus.bind(this))}async handleChange(t){clearTimeout(this.debounceTimer),this.debounceTimer=setTimeout(async()=>{const t=this.input.dataset.key,e=window.themeQuantity.getRule(this.input),{quantity:a,reason:i}=window.themeQuantity.apply(this.input);i&&this.showError(window.themeQuantity.getMessage(i,e));const r=window.CartUpdater.isOptimistic(this)?window.CartUpdater.applyOptimistic({key:t,quantity:a}):null;r||this.enableLoading();try{await window.CartAPI.change({id:t,quantity:a})}catch(t){this.showError(t.message),r?window.CartUpdater.rollback(r,t):this.input.value=this.input.dataset.previousValue||e.min}finally{r||this.disableLoading()}},500)}handleMinus(t){t.preventDefault(),this.step(-1)}handlePlus(t){t.preventDefault(),this.step(1)}step(t){const e=this.input.value,{reason:a}=window.themeQuantity.step(this.input,t);this.input.value!==e?this.input.dispatchEvent(new Event("change")):a&&this.showError(window.themeQuantity.getMessage(a,window.themeQuantity.getRule(this.input)))}enableLoading(){this.classList.add("loading"),this.input.disabled=!0,this.minusBtn&&(this.minusBtn.disabled=!0),this.plusBtn&&(this.plusBtn.disabled=!0)}disableLoading(){this.classList.remove("loading"),this.input.disabled=!1,this.minusBtn&&(this.minusBtn.disabled=!1),this.plusBtn&&(this.plusBtn.disabled=!1)}showError(t){const e=this.closest("[data-cart-item]")?.querySelector("[data-cart-item-error]");e&&(e.textContent=t,e.style.display="block",setTimeout(()=>{e.style.display="none"},3e3))}}customElements.define("cart-quantity-input",CartQuantityInput);class CartValidation extends HTMLElement{constructor(){super(),this.notice=this.querySelector("[data-validation-notice]"),this.adjustBtn=this.querySelector("[data-validation-adjust]"),this.issues=[],this.onValidated=t=>this.render(t.issues),this.adjustBtn&&this.adjustBtn.addEventListener("click",this.handleAdjust.bind(this))}connectedCallback(){window.CartEvents.subscribe("cart:validated",this.onValidated),window.CartAPI.validation?this.render(window.CartAPI.getIssues(window.CartAPI.cart)):this.hasAttribute("data-validate-on-load")&&!window.CartAPI.validating&&window.CartAPI.validate().catch(t=>console.error("Cart validation failed:",t))}disconnectedCallback(){window.CartEvents.unsubscribe("cart:validated",this.onValidated)}render(t){this.issues=t;(this.closest("[data-cart-context]")||document).querySelectorAll("[data-cart-item]").forEach(e=>{const a=e.querySelector("[data-cart-item-warning]");if(!a)return;const i=t.find(t=>t.key===e.dataset.key);a.textContent=i?this.getMessage(i):"",a.hidden=!i}),this.notice&&(this.notice.hidden=0===t.length)}getMessage(t){return({sold_out:this.dataset.messageSoldOut,stock:this.dataset.messageStock,max:this.dataset.messageMax,min:this.dataset.messageMin,increment:this.dataset.messageIncrement}[t.reason]||"").replace("[available]",t.limit.available).replace("[max]",t.limit.max).replace("[min]",t.limit.min).replace("[increment]",t.limit.increment)}async handleAdjust(){this.adjustBtn.disabled=!0;try{await window.CartAPI.adjustQuantities(this.issues),await window.CartAPI.validate()}catch(t){console.error("Adjust quantities failed:",t)}finally{this.adjustBtn.disabled=!1}}}customElements.define("cart-validation",CartValidation);class CartLineProperties extends HTMLElement{constructor(){super(),this.toggleBtn=this.querySelector("[data-properties-edit]"),this.form=this.querySelector("[data-properties-form]"),this.saveBtn=this.querySelector("[data-properties-save]"),this.cancelBtn=this.querySelector("[data-properties-cancel]"),this.errorElement=this.querySelector("[data-properties-error]"),this.inputs=[...this.querySelectorAll("[data-property-input]")],this.toggleBtn&&this.toggleBtn.addEventListener("click",()=>this.toggle()),this.cancelBtn&&this.cancelBtn.addEventListener("click",()=>this.toggle(!1)),this.saveBtn&&this.saveBtn.addEventListener("click",this.handleSave.bind(this)),this.inputs.forEach(t=>{t.addEventListener("input",()=>{this.updateCount(t),this.hideError()}),this.updateCount(t)})}getProperties(){try{return JSON.parse(this.querySelector("[data-properties]")?.textContent||"{}")||{}}catch(t){return{}}}toggle(t){const e="boolean"==typeof t?t:this.form.hidden;this.form.hidden=!e,this.toggleBtn.setAttribute("aria-expanded",e),e?this.inputs[0]?.focus():(this.inputs.forEach(t=>{t.value=t.defaultValue,this.updateCount(t)}),this.hideError(),this.toggleBtn.focus())}updateCount(t){const e=t.closest("[data-property-field]")?.querySelector("[data-property-count]"),a=parseInt(t.dataset.maxlength)||0;e&&a&&(e.textContent=`${t.value.length}/${a}`)}validate(){for(const t of this.inputs){const e=parseInt(t.dataset.maxlength)||0;if(e&&t.value.length>e)return t.focus(),this.dataset.errorTooLong.replace("[name]",t.dataset.propertyInput).replace("[max]",e)}return null}async handleSave(t){t.preventDefault();const e=this.validate();if(e)return void this.showError(e);const a=this.getProperties();this.inputs.forEach(t=>{a[t.dataset.propertyInput]=t.value.trim()});const i=parseInt(this.dataset.line);this.classList.add("loading"),this.saveBtn.disabled=!0;try{await window.CartAPI.change({line:i,quantity:parseInt(this.closest("[data-cart-item]")?.querySelector("cart-quantity-input input")?.value||this.dataset.quantity),properties:a})}catch(e){this.showError(e.message)}finally{this.classList.remove("loading"),this.saveBtn.disabled=!1}}showError(t){this.errorElement&&(this.errorElement.textContent=t,this.errorElement.hidden=!1)}hideError(){this.errorElement&&(this.errorElement.hidden=!0)}}customElements.define("cart-line-properties",CartLineProperties);class CartVariantSwap extends HTMLElement{constructor(){super(),this.selects=[...this.querySelectorAll("select[data-option-index]")],this.errorElement=this.querySelector("[data-variant-swap-error]"),this.selects.forEach(t=>{t.addEventListener("change",this.handleChange.bind(this))})}async handleChange(){const t=this.selects.map(t=>t.value),e=parseInt(this.dataset.line);this.hideError(),this.enableLoading();try{const a=(await window.CartAPI.getProduct(this.dataset.handle)).variants.find(e=>e.options.every((e,a)=>e===t[a]));if(!a||!a.available){const t=new Error("Variant is not available");throw t.code="variant_unavailable",t}if(a.id===parseInt(this.dataset.variantId))return;await window.CartAPI.swapVariant({line:e,id:a.id})}catch(t){this.showError("variant_unavailable"===t.code?this.dataset.errorUnavailable:t.message),this.selects.forEach(t=>{t.value=t.dataset.current})}finally{this.disableLoading()}}enableLoading(){this.classList.add("loading"),this.selects.forEach(t=>t.disabled=!0)}disableLoading(){this.classList.remove("loading"),this.selects.forEach(t=>t.disabled=!1)}showError(t){this.errorElement&&(this.errorElement.textContent=t,this.errorElement.hidden=!1)}hideError(){this.errorElement&&(this.errorElement.hidden=!0)}}customElements.define("cart-variant-swap",CartVariantSwap);class CartNote extends HTMLElement{constructor(){super(),this.textarea=this.querySelector("textarea"),this.debounceTimer=null,this.textarea&&this.textarea.addEventListener("input",this.handleInput.bind(this))}handleInput(t){clearTimeout(this.debounceTimer),this.debounceTimer=setTimeout(async()=>{const t=this.textarea.value;try{await window.CartAPI.updateNote(t)}catch(t){console.error("Update note failed:",t)}},1e3)}}customElements.define("cart-note",CartNote);class CartAttribute extends HTMLElement{constructor(){super(),this.fields=[...this.querySelectorAll("input, select, textarea")],this.errorElement=this.querySelector("[data-attribute-error]"),this.debounceTimer=null,this.onUpdate=t=>this.restore(t.cart),this.fields.forEach(t=>{t.addEventListener("input",this.handleInput.bind(this)),t.addEventListener("change",this.handleChange.bind(this))})}get name(){return this.getAttribute("name")}get required(){return this.hasAttribute("required")}connectedCallback(){window.CartEvents.subscribe("cart:update",this.onUpdate),window.CartEvents.subscribe("cart:attributes",this.onUpdate),window.CartAPI.cart?this.restore(window.CartAPI.cart):window.CartAPI.get().then(t=>this.restore(t)).catch(()=>{})}disconnectedCallback(){window.CartEvents.unsubscribe("cart:update",this.onUpdate),window.CartEvents.unsubscribe("cart:attributes",this.onUpdate)}handleInput(t){this.isTyped(t.target)&&(clearTimeout(this.debounceTimer),this.debounceTimer=setTimeout(()=>this.save(),1e3))}handleChange(t){this.isTyped(t.target)||this.save()}isTyped(t){return"TEXTAREA"===t.tagName||"INPUT"===t.tagName&&!["checkbox","radio","date","hidden"].includes(t.type)}async save(){clearTimeout(this.debounceTimer),this.debounceTimer=null;const t=this.getValue();if(this.error&&this.validate(),window.CartAPI.cart?.attributes?.[this.name]!==t)try{await window.CartAPI.updateAttributes({[this.name]:t})}catch(t){console.error(`Update cart attribute "${this.name}" failed:`,t)}}getValue(){const t=this.fields.find(t=>!["checkbox","radio"].includes(t.type)||t.checked);return t?"checkbox"===t.type?"on"===t.value?"Yes":t.value:t.value.trim():""}setValue(t){this.fields.forEach(e=>{"checkbox"===e.type?e.checked=Boolean(t):"radio"===e.type?e.checked=e.value===t:e.value=t})}restore(t){if(!t||this.debounceTimer||this.contains(document.activeElement))return;const e=t.attributes?.[this.name]??"";e!==this.getValue()&&(this.setValue(e),this.dispatchEvent(new CustomEvent("attribute:restore",{bubbles:!0,detail:{value:e}})))}focusField(){const t=this.querySelector('input:not([type="hidden"]), select, textarea, [tabindex="0"]');t?.focus({preventScroll:!0})}validate(){return this.error=this.required&&!this.getValue(),this.fields.forEach(t=>{this.error?t.setAttribute("aria-invalid","true"):t.removeAttribute("aria-invalid")}),this.errorElement&&(this.errorElement.textContent=this.error&&this.dataset.messageRequired||"",this.errorElement.hidden=!this.error),!this.error}static async validateAll(t=document){const e=[...t.querySelectorAll("cart-attribute")];return await Promise.all(e.filter(t=>t.debounceTimer).map(t=>t.save())),e.filter(t=>!t.validate())}}customElements.define("cart-attribute",CartAttribute);class CartDeliveryDate extends HTMLElement{constructor(){super(),this.input=this.querySelector("[data-delivery-value]"),this.title=this.querySelector("[data-delivery-title]"),this.weekdays=this.querySelector("[data-delivery-weekdays]"),this.days=this.querySelector("[data-delivery-days]"),this.prevButton=this.querySelector("[data-delivery-prev]"),this.nextButton=this.querySelector("[data-delivery-next]"),this.summary=this.querySelector("[data-delivery-summary]"),this.cutoff=parseInt(this.dataset.cutoff,10)||0,this.daysInStock=parseInt(this.dataset.daysInStock,10)||0,this.daysBackorder=parseInt(this.dataset.daysBackorder,10)||0,this.range=parseInt(this.dataset.range,10)||30,this.holidays=new Set((this.dataset.holidays||"").split(/[\s,]+/).filter(Boolean)),this.backorder=this.hasAttribute("data-backorder"),this.locale=document.documentElement.lang||void 0,this.onUpdate=this.handleUpdate.bind(this),this.prevButton.addEventListener("click",()=>this.showMonth(-1)),this.nextButton.addEventListener("click",()=>this.showMonth(1)),this.days.addEventListener("click",this.handleClick.bind(this)),this.days.addEventListener("keydown",this.handleKeydown.bind(this)),this.addEventListener("attribute:restore",()=>this.render())}connectedCallback(){this.lines=window.CartAPI.cart?CartDeliveryDate.getLines(window.CartAPI.cart):null,window.CartEvents.subscribe("cart:update",this.onUpdate),this.renderWeekdays(),this.render()}disconnectedCallback(){window.CartEvents.unsubscribe("cart:update",this.onUpdate)}async handleUpdate(t){if(!t.cart)return;const e=CartDeliveryDate.getLines(t.cart);if(e!==this.lines){this.lines=e;try{const t=await window.CartAPI.getLimits(),e=Object.values(t).some(t=>t.backorder);if(e===this.backorder)return;this.backorder=e,this.render()}catch(t){this.lines=null,console.error("Delivery date update failed:",t)}}}handleClick(t){const e=t.target.closest("[data-date]");e&&"true"!==e.getAttribute("aria-disabled")&&this.select(CartDeliveryDate.parse(e.dataset.date))}handleKeydown(t){const e={ArrowLeft:-1,ArrowRight:1,ArrowUp:-7,ArrowDown:7,Home:-(this.focused.getUTCDay()+6)%7,End:6-(this.focused.getUTCDay()+6)%7};if(t.key in e)t.preventDefault(),this.moveFocus(CartDeliveryDate.addDays(this.focused,e[t.key]));else if("PageUp"===t.key||"PageDown"===t.key){t.preventDefault();const e=new Date(this.focused);e.setUTCMonth(e.getUTCMonth()+("PageUp"===t.key?-1:1)),this.moveFocus(e)}else"Enter"!==t.key&&" "!==t.key||(t.preventDefault(),this.isAvailable(this.focused)&&this.select(this.focused))}getShopNow(){const t=/([+-])(\d{2})(\d{2})/.exec(this.dataset.utcOffset||""),e=t?("-"===t[1]?-1:1)*(60*Number(t[2])+Number(t[3])):0;return new Date(Date.now()+6e4*e)}getEarliest(){const t=this.getShopNow();let e=new Date(Date.UTC(t.getUTCFullYear(),t.getUTCMonth(),t.getUTCDate()));for(t.getUTCHours()>=this.cutoff&&(e=CartDeliveryDate.addDays(e,1));!this.isBusinessDay(e);)e=CartDeliveryDate.addDays(e,1);let a=this.backorder?this.daysBackorder:this.daysInStock;for(;a>0;)e=CartDeliveryDate.addDays(e,1),this.isBusinessDay(e)&&a--;return e}isBusinessDay(t){const e=t.getUTCDay();return 0!==e&&6!==e&&!this.holidays.has(CartDeliveryDate.format(t))}isAvailable(t){return t>=this.earliest&&t<=this.latest&&this.isBusinessDay(t)}render(){this.earliest=this.getEarliest(),this.latest=CartDeliveryDate.addDays(this.earliest,this.range);let t=this.input.value?CartDeliveryDate.parse(this.input.value):null,e="";t&&!this.isAvailable(t)&&(t=null,e=this.dataset.messageUnavailable,this.setValue("")),this.selected=t,this.focused=t||this.earliest,this.month=CartDeliveryDate.startOfMonth(this.focused),this.renderMonth(),this.renderSummary(e)}renderWeekdays(){const t=new Intl.DateTimeFormat(this.locale,{weekday:"short",timeZone:"UTC"}),e=Date.UTC(2024,0,1);this.weekdays.replaceChildren(...Array.from({length:7},(a,i)=>{const r=document.createElement("th"),s=new Date(e+864e5*i);return r.scope="col",r.textContent=t.format(s),r.setAttribute("abbr",s.toLocaleDateString(this.locale,{weekday:"long",timeZone:"UTC"})),r}))}renderMonth(){const t=new Intl.DateTimeFormat(this.locale,{weekday:"long",day:"numeric",month:"long",timeZone:"UTC"}),e=(this.month.getUTCDay()+6)%7;let a=CartDeliveryDate.addDays(this.month,-e);const i=[];this.title.textContent=this.month.toLocaleDateString(this.locale,{month:"long",year:"numeric",timeZone:"UTC"});do{const e=document.createElement("tr");for(let i=0;i<7;i++){const i=document.createElement("td"),r=CartDeliveryDate.format(a);a.getUTCMonth()===this.month.getUTCMonth()&&(i.setAttribute("role","gridcell"),i.dataset.date=r,i.textContent=a.getUTCDate(),i.tabIndex=r===CartDeliveryDate.format(this.focused)?0:-1,i.setAttribute("aria-label",t.format(a)),i.setAttribute("aria-selected",String(r===(this.selected&&CartDeliveryDate.format(this.selected)))),this.isAvailable(a)||i.setAttribute("aria-disabled","true")),e.append(i),a=CartDeliveryDate.addDays(a,1)}i.push(e)}while(a.getUTCMonth()===this.month.getUTCMonth());this.days.replaceChildren(...i),this.prevButton.disabled=this.month<=CartDeliveryDate.startOfMonth(this.earliest),this.nextButton.disabled=this.month>=CartDeliveryDate.startOfMonth(this.latest)}renderSummary(t=""){const e=new Intl.DateTimeFormat(this.locale,{weekday:"long",day:"numeric",month:"long",timeZone:"UTC"}),a=((this.selected?this.dataset.messageSelected:this.dataset.messageEarliest)||"").replace("[date]",e.format(this.selected||this.earliest));this.summary.textContent=t?`${t} ${a}`:a}showMonth(t){const e=new Date(this.month);e.setUTCMonth(e.getUTCMonth()+t),this.month=e,this.focused=this.clamp(this.isSameMonth(this.focused,e)?this.focused:e),this.renderMonth()}moveFocus(t){this.focused=this.clamp(t),this.isSameMonth(this.focused,this.month)?this.days.querySelectorAll("[data-date]").forEach(t=>{t.tabIndex=t.dataset.date===CartDeliveryDate.format(this.focused)?0:-1}):(this.month=CartDeliveryDate.startOfMonth(this.focused),this.renderMonth()),this.days.querySelector(`[data-date="${CartDeliveryDate.format(this.focused)}"]`)?.focus()}select(t){this.selected=t,this.focused=t,this.setValue(CartDeliveryDate.format(t)),this.renderMonth(),this.renderSummary(),this.days.querySelector(`[data-date="${CartDeliveryDate.format(t)}"]`)?.focus()}setValue(t){this.input.value!==t&&(this.input.value=t,this.input.dispatchEvent(new Event("change",{bubbles:!0})))}clamp(t){const e=CartDeliveryDate.startOfMonth(this.earliest);return t<e?e:t>this.latest?this.latest:t}isSameMonth(t,e){return t.getUTCFullYear()===e.getUTCFullYear()&&t.getUTCMonth()===e.getUTCMonth()}static getLines(t){return(t.items||[]).map(t=>`${t.key}:${t.quantity}`).join(",")}static addDays(t,e){return new Date(t.getTime()+864e5*e)}static startOfMonth(t){return new Date(Date.UTC(t.getUTCFullYear(),t.getUTCMonth(),1))}static format(t){return t.toISOString().slice(0,10)}static parse(t){return new Date(`${t}T00:00:00Z`)}}customElements.define("cart-delivery-date",CartDeliveryDate);class CartGiftOptions extends HTMLElement{constructor(){super(),this.checkbox=this.querySelector("[data-gift-wrap]"),this.errorElement=this.querySelector("[data-gift-error]"),this.onUpdate=t=>this.sync(t.cart),this.checkbox&&this.checkbox.addEventListener("change",this.handleToggle.bind(this))}connectedCallback(){window.CartEvents.subscribe("cart:update",this.onUpdate)}disconnectedCallback(){window.CartEvents.unsubscribe("cart:update",this.onUpdate)}async handleToggle(){this.checkbox.disabled=!0,this.hideError();try{const t=await window.CartAPI.get();if(this.checkbox.checked){const e=t.items.filter(t=>!CartGiftOptions.isWrap(t)).map(t=>t.product_id);if(0===e.length)return void(this.checkbox.checked=!1);await window.CartAPI.add({items:[{id:parseInt(this.dataset.variantId),quantity:1,properties:{_gift_wrap_for:[...new Set(e)].join(",")}}]})}else await CartGiftOptions.removeWraps(t.items.filter(CartGiftOptions.isWrap))}catch(t){this.checkbox.checked=!this.checkbox.checked,this.showError(t.message)}finally{this.checkbox.disabled=!1}}sync(t){this.checkbox&&!this.checkbox.disabled&&(this.checkbox.checked=t.items.some(CartGiftOptions.isWrap))}showError(t){this.errorElement&&(this.errorElement.textContent=t,this.errorElement.hidden=!1)}hideError(){this.errorElement&&(this.errorElement.hidden=!0)}static isWrap(t){return"_gift_wrap_for"in(t.properties||{})}static removeWraps(t){return Promise.all(t.map(t=>window.CartAPI.change({id:t.key,quantity:0})))}static track(t){if(t.remote||!t.cart)return;const{items:e}=t.cart,a=e.filter(CartGiftOptions.isWrap).filter(t=>{const a=String(t.properties._gift_wrap_for||"").split(",").filter(Boolean).map(Number);return!e.some(t=>!CartGiftOptions.isWrap(t)&&a.includes(t.product_id))});0!==a.length&&CartGiftOptions.removeWraps(a).catch(t=>console.error("Removing gift wrap failed:",t))}}window.CartEvents.subscribe("cart:update",t=>CartGiftOptions.track(t)),customElements.define("cart-gift-options",CartGiftOptions);class CartDiscount extends HTMLElement{constructor(){super(),this.input=this.querySelector("[data-discount-input]"),this.applyBtn=this.querySelector("[data-discount-apply]"),this.errorElement=this.querySelector("[data-discount-error]"),this.applyBtn&&this.applyBtn.addEventListener("click",this.handleApply.bind(this)),this.input&&(this.input.addEventListener("keydown",t=>{"Enter"===t.key&&(t.preventDefault(),this.handleApply())}),this.input.addEventListener("input",this.hideError.bind(this))),this.addEventListener("click",this.handleRemove.bind(this))}async handleApply(){const t=this.input?.value.trim();if(t){this.hideError(),this.applyBtn.disabled=!0;try{await window.CartAPI.applyDiscount(t)}catch(t){const e={discount_empty:this.dataset.errorEmpty,discount_invalid:this.dataset.errorInvalid,discount_not_applicable:this.dataset.errorNotApplicable};this.showError(e[t.code]||t.message)}finally{this.applyBtn.disabled=!1}}else this.showError(this.dataset.errorEmpty)}async handleRemove(t){const e=t.target.closest("[data-discount-remove]");if(e){t.preventDefault(),e.disabled=!0;try{await window.CartAPI.removeDiscount(e.dataset.discountRemove)}catch(t){this.showError(t.message),e.disabled=!1}}}showError(t){this.errorElement&&(this.errorElement.textContent=t,this.errorElement.hidden=!1)}hideError(){this.errorElement&&(this.errorElement.hidden=!0)}}customElements.define("cart-discount",CartDiscount);class CartShare extends HTMLElement{constructor(){super(),this.copyBtn=this.querySelector("[data-share-copy]"),this.urlInput=this.querySelector("[data-share-url]"),this.statusElement=this.querySelector("[data-share-status]"),this.errorElement=this.querySelector("[data-restore-error]"),this.prompt=document.querySelector(`[data-modal="${this.dataset.modalId}"]`),this.copyBtn&&this.copyBtn.addEventListener("click",this.handleCopy.bind(this)),this.prompt&&this.prompt.addEventListener("click",this.handleChoice.bind(this))}connectedCallback(){const t=new URLSearchParams(window.location.search);if(this.token=t.get("restore"),!this.token)return;t.delete("restore");const e=t.toString();window.history.replaceState({},"",window.location.pathname+(e?`?${e}`:"")+window.location.hash),this.handleRestore()}async handleCopy(){this.copyBtn.disabled=!0;try{const t=await window.CartAPI.getShareUrl();this.urlInput&&(this.urlInput.value=t,this.urlInput.hidden=!1,this.urlInput.select()),await navigator.clipboard.writeText(t),this.showStatus(this.dataset.messageCopied)}catch(t){console.error("Copy cart link failed:",t)}finally{this.copyBtn.disabled=!1}}async handleRestore(){try{await window.CartAPI.readToken(this.token);if(0===(window.CartAPI.cart||await window.CartAPI.get()).item_count||!this.prompt)return void await this.restore("replace");window.themeModal?window.themeModal.open(this.dataset.modalId):this.prompt.hidden=!1}catch(t){this.showError(t)}}async handleChoice(t){const e=t.target.closest("[data-restore-mode]");if(e&&(window.themeModal?window.themeModal.close(this.dataset.modalId):this.prompt.hidden=!0,"cancel"!==e.dataset.restoreMode))try{await this.restore(e.dataset.restoreMode)}catch(t){this.showError(t)}}async restore(t){await window.CartAPI.restoreCart(this.token,t),this.token=null}showStatus(t){this.statusElement&&(this.statusElement.textContent=t)}showError(t){this.errorElement&&(this.errorElement.textContent="restore_invalid"===t.code?this.dataset.errorInvalid:t.message,this.errorElement.hidden=!1)}}customElements.define("cart-share",CartShare);class CartShippingProgress extends HTMLElement{connectedCallback(){this.messageElement=this.querySelector("[data-shipping-message]"),this.fillElement=this.querySelector("[data-shipping-fill]");const t=parseFloat(window.Shopify?.currency?.rate||1);this.threshold=Math.round(parseInt(this.dataset.threshold)*t);const e=parseInt(this.dataset.total)||0;null===CartShippingProgress.reached&&(CartShippingProgress.reached=e>=this.threshold),this.render(e),this.unsubscribe=window.CartEvents.subscribe("cart:update",t=>this.render(t.cart.total_price))}disconnectedCallback(){this.unsubscribe&&this.unsubscribe()}render(t){if(!this.threshold)return;const e=Math.max(this.threshold-t,0),a=100*Math.min(t/this.threshold,1);this.classList.toggle("is-reached",0===e),this.fillElement&&(this.fillElement.style.width=`${a}%`),this.messageElement&&(this.messageElement.textContent=0===e?this.dataset.messageReached:this.dataset.messageRemaining.replace("[amount]",window.themeMoney.format(e)))}static track(t){const e=document.querySelector("cart-shipping-progress");if(!t.cart||!e||!e.threshold)return;const{cart:a}=t,i=a.total_price>=e.threshold;i&&!1===CartShippingProgress.reached&&!t.remote&&window.CartEvents.publish("cart:threshold-reached",{cart:a,threshold:e.threshold}),CartShippingProgress.reached=i}}CartShippingProgress.reached=null,window.CartEvents.subscribe("cart:update",t=>CartShippingProgress.track(t)),customElements.define("cart-shipping-progress",CartShippingProgress);class CartUpsell extends HTMLElement{connectedCallback(){this.list=this.querySelector("[data-upsell-list]"),this.template=this.querySelector("[data-upsell-template]"),this.requestId=0;try{this.config=JSON.parse(this.querySelector("[data-upsell-rules]")?.textContent||"{}")||{}}catch(t){return console.error("Cart upsell rules are invalid:",t),void(this.hidden=!0)}this.addEventListener("click",this.handleClick.bind(this)),this.unsubscribe=window.CartEvents.subscribe("cart:update",t=>this.update(t.cart)),window.CartAPI.cart?this.update(window.CartAPI.cart):window.CartAPI.get().then(t=>this.update(t)).catch(()=>{})}disconnectedCallback(){this.unsubscribe&&this.unsubscribe()}async update(t){if(!t)return;const e=++this.requestId;try{const a=await this.pick(t);e===this.requestId&&this.render(a)}catch(t){console.error("Cart upsell failed:",t)}}async pick(t){const e=this.config.limit||4,a=new Set(t.items.map(t=>t.product_id)),i=new Map,r=t=>t.available&&!i.has(t.id)&&!(this.config.excludeInCart&&a.has(t.id)),s=t=>t.filter(r).slice(0,e-i.size).forEach(t=>i.set(t.id,t));for(const a of this.config.rules||[]){if(i.size>=e)break;s(await this.evaluate(a,t,r))}return 0===i.size&&this.config.fallback&&t.items.length>0&&s(await CartUpsell.fetchProducts(CartUpsell.recommendationsUrl(t.items[0].product_id))),[...i.values()]}async evaluate(t,e,a){switch(t.type){case"product_type":{const a=(t.productType||"").trim().toLowerCase(),i=a&&e.items.find(t=>(t.product_type||"").toLowerCase()===a);return i?this.getCandidates(t,i.product_id):[]}case"threshold":{const i=parseFloat(window.Shopify?.currency?.rate||1),r=Math.round(t.threshold*i)-e.total_price;if(!t.threshold||r<=0||0===e.items.length)return[];return(await this.getCandidates(t,e.items[0].product_id)).filter(t=>a(t)&&t.price>=r).sort((t,e)=>t.price-e.price).slice(0,1)}default:return[]}}getCandidates(t,e){return t.collection?CartUpsell.fetchProducts(`${window.Shopify.routes.root}collections/${encodeURIComponent(t.collection)}/products.json?limit=50`):CartUpsell.fetchProducts(CartUpsell.recommendationsUrl(e))}render(t){this.list&&this.template&&(this.hidden=0===t.length,this.list.replaceChildren(...t.map(t=>this.renderProduct(t))))}renderProduct(t){const e=this.template.content.cloneNode(!0).firstElementChild,a=e.querySelector("[data-upsell-image]"),i=e.querySelector("[data-upsell-add]"),r=e.querySelector("[data-upsell-view]");return e.querySelectorAll("[data-upsell-link]").forEach(e=>{e.href=t.url}),e.querySelector("[data-upsell-title]").textContent=t.title,e.querySelector("[data-upsell-price]").innerHTML=window.themeMoney.formatHtml(t.price),a&&t.image?(a.src=t.image,a.alt=t.title):a&&a.remove(),t.singleVariant?(i.dataset.variantId=t.variantId,i.setAttribute("aria-label",`${i.getAttribute("aria-label")}: ${t.title}`),r?.remove()):(r?.setAttribute("aria-label",`${r.getAttribute("aria-label")}: ${t.title}`),i.remove()),e}async handleClick(t){const e=t.target.closest("[data-upsell-add]");if(e&&!e.disabled){t.preventDefault(),e.disabled=!0,e.classList.add("loading");try{await window.CartAPI.add({id:parseInt(e.dataset.variantId),quantity:1})}catch(t){console.error("Add upsell product failed:",t),e.disabled=!1,e.classList.remove("loading")}}}static recommendationsUrl(t){return`${window.Shopify.routes.root}recommendations/products.json?product_id=${t}&limit=10&intent=related`}static fetchProducts(t){if(!CartUpsell.cache.has(t)){const e=fetch(t,{headers:{"X-Requested-With":"XMLHttpRequest"}}).then(t=>{if(!t.ok)throw new Error("Failed to fetch upsell products");return t.json()}).then(t=>(t.products||[]).map(CartUpsell.normalize)).catch(e=>{throw CartUpsell.cache.delete(t),e});CartUpsell.cache.set(t,e)}return CartUpsell.cache.get(t)}static normalize(t){const e=t.variants||[],a=e.find(t=>t.available)||e[0]||{},i=parseFloat(window.Shopify?.currency?.rate||1),r="string"==typeof a.price?Math.round(100*parseFloat(a.price)*i):a.price;let s=t.featured_image||t.images?.[0]||null;if(s="object"==typeof s&&s?s.src:s,s){const t=new URL(s,window.location.href);t.searchParams.set("width",120),s=t.toString()}return{id:t.id,title:t.title,url:t.url||`${window.Shopify.routes.root}products/${t.handle}`,image:s,price:r||0,variantId:a.id,available:e.some(t=>t.available),singleVariant:1===e.length}}}CartUpsell.cache=new Map,customElements.define("cart-upsell",CartUpsell);class CartAddButton extends HTMLElement{constructor(){super(),this.button=this.querySelector("button"),this.button&&this.button.addEventListener("click",this.handleClick.bind(this))}async handleClick(t){t.preventDefault();const e=this.dataset.variantId,a=parseInt(this.dataset.quantity||1);if(e&&!this.classList.contains("loading")){this.enableLoading();try{await window.CartAPI.add({id:parseInt(e),quantity:a})}catch(t){console.error("Add to cart failed:",t)}finally{this.disableLoading()}}}enableLoading(){this.classList.add("loading"),this.button&&(this.button.disabled=!0)}disableLoading(){this.classList.remove("loading"),this.button&&(this.button.disabled=!1)}}function initializeCart(){async function t(t){const e=t.closest("[data-cart-main-section], [data-cart-preview-section]")||document,a=await CartAttribute.validateAll(e);if(a.length>0)return a[0].scrollIntoView({behavior:"smooth",block:"center"}),a[0].focusField(),!1;let i=[];try{i=await window.CartAPI.validate()}catch(t){console.error("Cart validation failed:",t)}return 0===i.length||(e.querySelector("[data-validation-notice]:not([hidden])")?.scrollIntoView({behavior:"smooth",block:"center"}),!1)}console.log("Cart system initialized"),document.querySelector("[data-cart-count], [data-cart-main-section], [data-cart-preview-section]")&&window.CartAPI.get().catch(()=>{}),window.CartEvents.subscribe("cart:update",async t=>{console.log("Cart updated:",t);const e=document.querySelector("[data-cart-main-section]"),a=document.querySelector("[data-cart-preview-section]");e&&await window.CartUpdater.update({context:"page",cartData:t.cart}),a&&await window.CartUpdater.update({context:"preview",cartData:t.cart}),updateCartCount(t.cart.item_count)}),document.addEventListener("submit",async e=>{const a=e.submitter;if(!a?.matches("[data-cart-checkout-button]")||a.dataset.validated)return;e.preventDefault(),a.disabled=!0;const i=await t(a);a.disabled=!1,i&&(a.dataset.validated="true",e.target.requestSubmit(a),delete a.dataset.validated)}),document.addEventListener("click",async e=>{const a=e.target.closest("[data-cart-checkout-button]");if(!a||a.form)return;if(e.preventDefault(),"true"===a.getAttribute("aria-disabled"))return;a.setAttribute("aria-disabled","true");const i=await t(a);a.removeAttribute("aria-disabled"),i&&(window.location.href=a.getAttribute("href")||`${window.Shopify.routes.root}checkout`)}),window.CartEvents.subscribe("cart:add",t=>{!("/cart"===window.location.pathname||window.location.pathname.includes("/cart"))&&window.CartPreview&&"function"==typeof window.CartPreview.open&&setTimeout(()=>{window.CartPreview.open()},300)})}customElements.define("cart-add-button",CartAddButton),"loading"===document.readyState?document.addEventListener("DOMContentLoaded",initializeCart):initializeCart();
\ No newline at end of file
@@ -22,7 +22,7 @@
 
 	init() {
 	  if (!window.CartEvents) {
-		console.warn('CartEvents not found. Make sure theme-cart.js is loaded.');
+		console.warn('CartEvents not found. Make sure theme-events.js is loaded.');
 		return;
 	  }
 
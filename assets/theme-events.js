@@ -0,0 +1,211 @@
+/**
+ * Theme event bus
+ * One publish/subscribe bus for the cart system and Dawn-style components
+ * Cart scripts use window.CartEvents; global.js components use the
+ * subscribe / publish / PUB_SUB_EVENTS globals below, which share it
+ */
+
+class CartEvents {
+  constructor() {
+    this.events = {};
+    this.counter = 0;
+  }
+
+  /**
+   * Subscribe to cart events
+   * Event names may end in '*' to match a group ('cart:*' or '*') and may
+   * carry a namespace ('cart:update.loyalty') to unsubscribe a group later
+   * @param {string} eventName - Event to listen for
+   * @param {function} callback - Function to call when event fires, receives (data, eventName)
+   * @param {object} options - { once: boolean, priority: number } (higher priority runs first)
+   * @returns {function} Unsubscribe function
+   */
+  subscribe(eventName, callback, options = {}) {
+    const { once = false, priority = 0 } = options;
+    const [pattern, namespace = null] = eventName.split(/\.(.*)/);
+
+    if (!this.events[pattern]) {
+      this.events[pattern] = [];
+    }
+    this.events[pattern].push({ callback, once, priority, namespace, order: this.counter++ });
+    
+    // Return unsubscribe function
+    return () => {
+      this.removeSubscriber(pattern, entry => entry.callback === callback);
+    };
+  }
+
+  /**
+   * Subscribe to the next occurrence of an event only
+   * @param {string} eventName - Event to listen for
+   * @param {function} callback - Function to call when event fires
+   * @param {object} options - { priority: number }
+   * @returns {function} Unsubscribe function
+   */
+  once(eventName, callback, options = {}) {
+    return this.subscribe(eventName, callback, { ...options, once: true });
+  }
+
+  /**
+   * Unsubscribe by event name, namespace or both
+   * 'cart:update' removes all its subscribers, '.loyalty' removes the loyalty
+   * namespace everywhere, 'cart:update.loyalty' combines both
+   * @param {string} eventName - Event name and/or namespace
+   * @param {function} callback - Only remove this callback (optional)
+   */
+  unsubscribe(eventName, callback = null) {
+    const [pattern, namespace = null] = eventName.split(/\.(.*)/);
+    const patterns = pattern ? [pattern] : Object.keys(this.events);
+
+    patterns.forEach(key => {
+      this.removeSubscriber(key, entry =>
+        (!namespace || entry.namespace === namespace) &&
+        (!callback || entry.callback === callback)
+      );
+    });
+  }
+
+  /**
+   * Remove subscribers matching a test from a pattern
+   * @param {string} pattern - Subscribed event name or wildcard
+   * @param {function} test - Returns true for entries to remove
+   */
+  removeSubscriber(pattern, test) {
+    if (!this.events[pattern]) return;
+    this.events[pattern] = this.events[pattern].filter(entry => !test(entry));
+  }
+
+  /**
+   * Check if a subscribed pattern matches an event name
+   * @param {string} pattern - Event name or wildcard
+   * @param {string} eventName - Published event name
+   * @returns {boolean}
+   */
+  matches(pattern, eventName) {
+    if (pattern === eventName) return true;
+    if (!pattern.endsWith('*')) return false;
+    return eventName.startsWith(pattern.slice(0, -1));
+  }
+
+  /**
+   * Publish cart event
+   * Every subscriber runs isolated: a throwing (or rejecting) callback is
+   * reported on 'cart:subscriber-error' and the others still run
+   * @param {string} eventName - Event to fire
+   * @param {object} data - Event data
+   */
+  publish(eventName, data) {
+    this.getSubscribers(eventName).forEach(({ pattern, entry }) => {
+      if (entry.once) {
+        this.removeSubscriber(pattern, item => item === entry);
+      }
+
+      this.runIsolated(entry, data, eventName);
+    });
+  }
+
+  /**
+   * Publish an event and wait for its subscribers, one after another
+   * Only subscribers to the exact event name can veto the operation: a
+   * throwing or rejecting one rejects the whole call. Wildcard subscribers
+   * ('cart:*', '*') run isolated like with publish() and are not waited for
+   * @param {string} eventName - Event to fire
+   * @param {object} data - Event data, subscribers may mutate it
+   * @returns {Promise<object>} The (mutated) event data
+   */
+  async publishAsync(eventName, data) {
+    for (const { pattern, entry } of this.getSubscribers(eventName)) {
+      if (entry.once) {
+        this.removeSubscriber(pattern, item => item === entry);
+      }
+
+      if (pattern === eventName) {
+        await entry.callback(data, eventName);
+      } else {
+        this.runIsolated(entry, data, eventName);
+      }
+    }
+
+    return data;
+  }
+
+  /**
+   * Call a subscriber, reporting a throwing or rejecting callback instead
+   * of letting it reach the publisher
+   * @param {object} entry - Subscriber entry
+   * @param {object} data - Event data
+   * @param {string} eventName - Event that is being published
+   */
+  runIsolated(entry, data, eventName) {
+    try {
+      const result = entry.callback(data, eventName);
+      if (result && typeof result.catch === 'function') {
+        result.catch(error => this.reportError(error, eventName, entry.callback));
+      }
+    } catch (error) {
+      this.reportError(error, eventName, entry.callback);
+    }
+  }
+
+  /**
+   * Get all subscribers for an event, highest priority first
+   * @param {string} eventName - Published event name
+   * @returns {array} Entries with the pattern they were subscribed under
+   */
+  getSubscribers(eventName) {
+    return Object.keys(this.events)
+      .filter(pattern => this.matches(pattern, eventName))
+      .flatMap(pattern => this.events[pattern].map(entry => ({ pattern, entry })))
+      .sort((a, b) => b.entry.priority - a.entry.priority || a.entry.order - b.entry.order);
+  }
+
+  /**
+   * Report a failing subscriber
+   * @param {Error} error - Thrown error
+   * @param {string} eventName - Event that was being published
+   * @param {function} callback - Subscriber that failed
+   */
+  reportError(error, eventName, callback) {
+    console.error(`Cart event subscriber failed (${eventName}):`, error);
+
+    // Errors while reporting errors stop here
+    if (eventName === 'cart:subscriber-error') return;
+
+    this.publish('cart:subscriber-error', { error, eventName, callback });
+  }
+}
+
+// Global event bus
+window.CartEvents = new CartEvents();
+
+/**
+ * Dawn-style pub/sub events, mapped onto the shared bus
+ * A quantity update is a cart update here, since both come from CartAPI
+ * @enum {string}
+ */
+const PUB_SUB_EVENTS = Object.freeze({
+  cartUpdate: 'cart:update',
+  quantityUpdate: 'cart:update',
+  cartError: 'cart:error',
+  variantChange: 'variant:change',
+  optionValueSelectionChange: 'variant:option-change'
+});
+
+/**
+ * Subscribe to a pub/sub event
+ * @param {string} eventName - One of PUB_SUB_EVENTS
+ * @param {function} callback - Receives the published data
+ * @returns {function} Unsubscribe function
+ */
+function subscribe(eventName, callback) {
+  return window.CartEvents.subscribe(eventName, callback);
+}
+
+/**
+ * Publish a pub/sub event
+ * @param {string} eventName - One of PUB_SUB_EVENTS
+ * @param {object} data - Event data
+ */
+function publish(eventName, data) {
+  window.CartEvents.publish(eventName, data);
+}
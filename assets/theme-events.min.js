@@ -0,0 +1 @@
+class CartEvents{constructor(){this.events={},this.counter=0}subscribe(r,t,e={}){const{once:s=!1,priority:n=0}=e,[c,i=null]=r.split(/\.(.*)/);return this.events[c]||(this.events[c]=[]),this.events[c].push({callback:t,once:s,priority:n,namespace:i,order:this.counter++}),()=>{this.removeSubscriber(c,r=>r.callback===t)}}once(r,t,e={}){return this.subscribe(r,t,{...e,once:!0})}unsubscribe(r,t=null){const[e,s=null]=r.split(/\.(.*)/);(e?[e]:Object.keys(this.events)).forEach(r=>{this.removeSubscriber(r,r=>!(s&&r.namespace!==s||t&&r.callback!==t))})}removeSubscriber(r,t){this.events[r]&&(this.events[r]=this.events[r].filter(r=>!t(r)))}matches(r,t){return r===t||!!r.endsWith("*")&&t.startsWith(r.slice(0,-1))}publish(r,t){this.getSubscribers(r).forEach(({pattern:e,entry:s})=>{s.once&&this.removeSubscriber(e,r=>r===s),this.runIsolated(s,t,r)})}async publishAsync(r,t){for(const{pattern:e,entry:s}of this.getSubscribers(r))s.once&&this.removeSubscriber(e,r=>r===s),e===r?await s.callback(t,r):this.runIsolated(s,t,r);return t}runIsolated(r,t,e){try{const s=r.callback(t,e);s&&"function"==typeof s.catch&&s.catch(t=>this.reportError(t,e,r.callback))}catch(t){this.reportError(t,e,r.callback)}}getSubscribers(r){return Object.keys(this.events).filter(t=>this.matches(t,r)).flatMap(r=>this.events[r].map(t=>({pattern:r,entry:t}))).sort((r,t)=>t.entry.priority-r.entry.priority||r.entry.order-t.entry.order)}reportError(r,t,e){console.error(`Cart event subscriber failed (${t}):`,r),"cart:subscriber-error"!==t&&this.publish("cart:subscriber-error",{error:r,eventName:t,callback:e})}}window.CartEvents=new CartEvents;const PUB_SUB_EVENTS=Object.freeze({cartUpdate:"cart:update",quantityUpdate:"cart:update",cartError:"cart:error",variantChange:"variant:change",optionValueSelectionChange:"variant:option-change"});function subscribe(r,t){return window.CartEvents.subscribe(r,t)}function publish(r,t){window.CartEvents.publish(r,t)}
\ No newline at end of file
@@ -0,0 +1,173 @@
+/**
+ * ============================================================================
+ * THEME-MONEY.JS
+ * ============================================================================
+ *
+ * Money formatting for prices rendered in JS (search, cart, quantity).
+ * Follows the active currency (Shopify.currency.active): the shop's money
+ * format when it's the shop currency, the active locale's format otherwise.
+ *
+ * USAGE:
+ *
+ * Settings (snippets/html-theme-scripts.liquid):
+ *   window.moneySettings = {
+ *     currency: 'EUR',
+ *     format: '€{{amount_with_comma_separator}}',
+ *     formatWithCurrency: '€{{amount_with_comma_separator}} EUR'
+ *   };
+ *
+ * JavaScript (imperative):
+ *   window.themeMoney.format(1295);                          // "€12,95"
+ *   window.themeMoney.format(1295, { withCurrency: true });  // "€12,95 EUR"
+ *   window.themeMoney.formatHtml(1295);                      // html-product-price markup
+ *   window.themeMoney.getParts(1295);                        // { symbol, before, separator, after }
+ *
+ *   Amounts are in cents of the active currency. Decimal strings from the
+ *   Ajax APIs ("12.95") can be converted with window.themeMoney.toCents().
+ *
+ * ============================================================================
+ */
+
+(function() {
+  'use strict';
+
+  // Shopify money format placeholders: [thousands delimiter, decimal separator, decimals]
+  const PLACEHOLDERS = {
+    amount: [',', '.', 2],
+    amount_no_decimals: [',', '', 0],
+    amount_with_comma_separator: ['.', ',', 2],
+    amount_no_decimals_with_comma_separator: ['.', '', 0],
+    amount_with_space_separator: [' ', ',', 2],
+    amount_no_decimals_with_space_separator: [' ', '', 0],
+    amount_with_apostrophe_separator: ['\'', '.', 2],
+    amount_with_period_and_space_separator: [' ', '.', 2]
+  };
+
+  const PLACEHOLDER_PATTERN = /\{\{\s*(\w+)\s*\}\}/;
+
+  function getSettings() {
+    return window.moneySettings || {};
+  }
+
+  function getCurrency() {
+    return window.Shopify?.currency?.active || getSettings().currency || 'EUR';
+  }
+
+  function getLocale() {
+    return document.documentElement.lang || window.Shopify?.locale || undefined;
+  }
+
+  /**
+   * The shop's money format only describes the shop currency
+   */
+  function getShopFormat(withCurrency) {
+    const settings = getSettings();
+    if (!settings.format || getCurrency() !== settings.currency) return null;
+
+    const format = withCurrency ? settings.formatWithCurrency || settings.format : settings.format;
+    return PLACEHOLDER_PATTERN.test(format) ? format : null;
+  }
+
+  /**
+   * Convert a decimal amount ("12.95" or 12.95) to cents
+   */
+  function toCents(amount) {
+    return Math.round(parseFloat(amount) * 100) || 0;
+  }
+
+  /**
+   * Split an amount the way a shop money format's placeholder writes it
+   */
+  function splitAmount(cents, format) {
+    const match = format.match(PLACEHOLDER_PATTERN);
+    const [delimiter, separator, decimals] = PLACEHOLDERS[match[1]] || PLACEHOLDERS.amount;
+    const [whole, fraction = ''] = (Math.abs(cents) / 100).toFixed(decimals).split('.');
+
+    return {
+      before: (cents < 0 ? '-' : '') + whole.replace(/\B(?=(\d{3})+(?!\d))/g, delimiter),
+      separator: decimals ? separator : '',
+      after: fraction
+    };
+  }
+
+  /**
+   * Split an amount into the parts of the html-product-price markup
+   * @param {number} cents - Amount in cents of the active currency
+   * @returns {object} { symbol, before, separator, after }
+   */
+  function getParts(cents) {
+    const format = getShopFormat(false);
+
+    if (format) {
+      return {
+        symbol: stripTags(format.replace(PLACEHOLDER_PATTERN, '')).trim(),
+        ...splitAmount(cents, format)
+      };
+    }
+
+    const parts = new Intl.NumberFormat(getLocale(), {
+      style: 'currency',
+      currency: getCurrency()
+    }).formatToParts(cents / 100);
+
+    const join = (types) => parts.filter(part => types.includes(part.type)).map(part => part.value).join('');
+
+    return {
+      symbol: join(['currency']),
+      before: join(['minusSign', 'integer', 'group']),
+      separator: join(['decimal']),
+      after: join(['fraction'])
+    };
+  }
+
+  /**
+   * Format an amount as text
+   * @param {number} cents - Amount in cents of the active currency
+   * @param {object} options - { withCurrency: append the currency code }
+   * @returns {string}
+   */
+  function format(cents, options = {}) {
+    const shopFormat = getShopFormat(options.withCurrency);
+
+    if (shopFormat) {
+      const { before, separator, after } = splitAmount(cents, shopFormat);
+      return stripTags(shopFormat.replace(PLACEHOLDER_PATTERN, `${before}${separator}${after}`));
+    }
+
+    const currency = getCurrency();
+    const formatted = new Intl.NumberFormat(getLocale(), { style: 'currency', currency }).format(cents / 100);
+
+    return options.withCurrency && !formatted.includes(currency) ? `${formatted} ${currency}` : formatted;
+  }
+
+  /**
+   * Format an amount with the markup of html-product-price
+   * @param {number} cents - Amount in cents of the active currency
+   * @returns {string} HTML
+   */
+  function formatHtml(cents) {
+    const { symbol, before, separator, after } = getParts(cents);
+
+    return `<span class="price"><span class="valuta">${escapeHtml(symbol)}</span><span class="before_seperator">${before}</span><span class="seperator">${separator}</span><span class="after_seperator">${after}</span></span>`;
+  }
+
+  function stripTags(value) {
+    // Parsed in an inert document, so markup in the format can't run anything
+    return new DOMParser().parseFromString(value, 'text/html').body.textContent;
+  }
+
+  function escapeHtml(value) {
+    const element = document.createElement('div');
+    element.textContent = value;
+    return element.innerHTML;
+  }
+
+  // Expose API
+  window.themeMoney = {
+    format,
+    formatHtml,
+    getParts,
+    toCents
+  };
+
+})();
@@ -0,0 +1 @@
+!function(){"use strict";const t={amount:[",",".",2],amount_no_decimals:[",","",0],amount_with_comma_separator:[".",",",2],amount_no_decimals_with_comma_separator:[".","",0],amount_with_space_separator:[" ",",",2],amount_no_decimals_with_space_separator:[" ","",0],amount_with_apostrophe_separator:["'",".",2],amount_with_period_and_space_separator:[" ",".",2]},r=/\{\{\s*(\w+)\s*\}\}/;function n(){return window.moneySettings||{}}function e(){return window.Shopify?.currency?.active||n().currency||"EUR"}function o(){return document.documentElement.lang||window.Shopify?.locale||void 0}function a(t){const o=n();if(!o.format||e()!==o.currency)return null;const a=t&&o.formatWithCurrency||o.format;return r.test(a)?a:null}function s(n,e){const o=e.match(r),[a,s,c]=t[o[1]]||t.amount,[u,i=""]=(Math.abs(n)/100).toFixed(c).split(".");return{before:(n<0?"-":"")+u.replace(/\B(?=(\d{3})+(?!\d))/g,a),separator:c?s:"",after:i}}function c(t){const n=a(!1);if(n)return{symbol:u(n.replace(r,"")).trim(),...s(t,n)};const c=new Intl.NumberFormat(o(),{style:"currency",currency:e()}).formatToParts(t/100),i=t=>c.filter(r=>t.includes(r.type)).map(t=>t.value).join("");return{symbol:i(["currency"]),before:i(["minusSign","integer","group"]),separator:i(["decimal"]),after:i(["fraction"])}}function u(t){return(new DOMParser).parseFromString(t,"text/html").body.textContent}window.themeMoney={format:function(t,n={}){const c=a(n.withCurrency);if(c){const{before:n,separator:e,after:o}=s(t,c);return u(c.replace(r,`${n}${e}${o}`))}const i=e(),m=new Intl.NumberFormat(o(),{style:"currency",currency:i}).format(t/100);return n.withCurrency&&!m.includes(i)?`${m} ${i}`:m},formatHtml:function(t){const{symbol:r,before:n,separator:e,after:o}=c(t);return`<span class="price"><span class="valuta">${function(t){const r=document.createElement("div");return r.textContent=t,r.innerHTML}(r)}</span><span class="before_seperator">${n}</span><span class="seperator">${e}</span><span class="after_seperator">${o}</span></span>`},getParts:c,toCents:function(t){return Math.round(100*parseFloat(t))||0}}}();
\ No newline at end of file
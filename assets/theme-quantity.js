@@ -0,0 +1,319 @@
+/**
+ * ============================================================================
+ * THEME-QUANTITY.JS
+ * ============================================================================
+ *
+ * Quantity rules shared by every quantity input (product form, quick add,
+ * cart lines). Snaps quantities to the variant's min, max and increment,
+ * counting what's already in the cart for inputs that add to it.
+ *
+ * USAGE:
+ *
+ * HTML (declarative):
+ *   <div data-quantity>
+ *     <button type="button" data-quantity-minus>−</button>
+ *     <input type="number" name="quantity" value="6"
+ *       min="6" max="60" step="6"
+ *       data-variant-id="123"
+ *       data-price-breaks='[{"minimum_quantity":12,"price":900}]'
+ *       data-quantity-input>
+ *     <button type="button" data-quantity-plus>+</button>
+ *     <p data-quantity-message hidden></p>
+ *   </div>
+ *
+ *   min / step / max come from variant.quantity_rule (max also from stock).
+ *   Inputs with data-line hold a cart line's total and don't count the cart.
+ *
+ * JavaScript (imperative):
+ *   window.themeQuantity.getRule(input);           // { min, max, increment }
+ *   window.themeQuantity.snap(7, rule, inCart);    // { quantity, reason }
+ *   window.themeQuantity.step(input, 1);           // +/- one increment
+ *   window.themeQuantity.apply(input);             // snap value, show message
+ *   window.themeQuantity.getUnitPrice(input, 12);  // volume price or null
+ *
+ * Volume pricing:
+ *   <volume-pricing> (html-product-volume-pricing snippet) follows the
+ *   quantity:change events of the matching input.
+ *   Totals are formatted with window.themeMoney (theme-money.js).
+ *
+ * Events:
+ *   input.addEventListener('quantity:change', (e) => console.log(e.detail));
+ *
+ * ============================================================================
+ */
+
+(function() {
+  'use strict';
+
+  const SELECTORS = {
+    wrapper: '[data-quantity]',
+    input: '[data-quantity-input]',
+    minus: '[data-quantity-minus]',
+    plus: '[data-quantity-plus]',
+    message: '[data-quantity-message]'
+  };
+
+  /**
+   * Read the quantity rule of an input
+   */
+  function getRule(input) {
+    // 0 is a valid minimum (cart lines can be emptied)
+    const min = parseInt(input.dataset.min || input.min, 10);
+
+    return {
+      min: Number.isNaN(min) ? 1 : min,
+      max: parseInt(input.max, 10) || null,
+      increment: parseInt(input.step, 10) || 1
+    };
+  }
+
+  /**
+   * Quantity of the input's variant already in the cart
+   * Cart line inputs hold the line total, so they count nothing
+   */
+  function getCartQuantity(input) {
+    const cart = window.CartAPI?.cart;
+    if (!cart || input.dataset.line || !input.dataset.variantId) return 0;
+
+    const variantId = parseInt(input.dataset.variantId, 10);
+    return cart.items
+      .filter(item => item.variant_id === variantId)
+      .reduce((total, item) => total + item.quantity, 0);
+  }
+
+  /**
+   * Snap a quantity to the closest valid one
+   * The rule applies to the cart total, so inCart is added before checking
+   * Returns { quantity, reason } with reason 'min' | 'max' | 'increment' | 'in_cart' | null
+   */
+  function snap(quantity, rule, inCart = 0) {
+    let total = inCart + Math.max(quantity, 0);
+    let reason = null;
+
+    if (total % rule.increment !== 0) {
+      total = Math.max(Math.round(total / rule.increment), 1) * rule.increment;
+      reason = 'increment';
+    }
+
+    if (total < rule.min) {
+      total = rule.min;
+      reason = 'min';
+    }
+
+    if (rule.max && total > rule.max) {
+      total = rule.max - (rule.max % rule.increment);
+      reason = inCart > 0 ? 'in_cart' : 'max';
+    }
+
+    return { quantity: Math.max(total - inCart, 0), reason };
+  }
+
+  /**
+   * Step an input up (1) or down (-1) by one increment
+   */
+  function step(input, direction) {
+    const current = parseInt(input.value, 10) || 0;
+    input.value = current + direction * getRule(input).increment;
+    return apply(input);
+  }
+
+  /**
+   * Snap an input's value, show the rule message and announce the change
+   */
+  function apply(input) {
+    const rule = getRule(input);
+    const inCart = getCartQuantity(input);
+    const value = parseInt(input.value, 10);
+    const result = snap(Number.isNaN(value) ? rule.min : value, rule, inCart);
+
+    input.value = result.quantity;
+    showMessage(input, result.reason ? getMessage(result.reason, rule, inCart) : '');
+
+    input.dispatchEvent(new CustomEvent('quantity:change', {
+      bubbles: true,
+      detail: {
+        quantity: result.quantity,
+        reason: result.reason,
+        rule,
+        inCart,
+        unitPrice: getUnitPrice(input, result.quantity + inCart)
+      }
+    }));
+
+    return result;
+  }
+
+  /**
+   * Localized message for a snap reason
+   */
+  function getMessage(reason, rule, inCart = 0) {
+    const strings = window.quantityStrings || {};
+    const key = reason === 'in_cart' ? 'inCart' : reason;
+
+    return (strings[key] || '')
+      .replace('[min]', rule.min)
+      .replace('[max]', rule.max)
+      .replace('[increment]', rule.increment)
+      .replace('[quantity]', inCart);
+  }
+
+  /**
+   * Show a rule message next to the input
+   */
+  function showMessage(input, message) {
+    const element = input.closest(SELECTORS.wrapper)?.querySelector(SELECTORS.message);
+    if (!element) return;
+
+    element.textContent = message;
+    element.hidden = !message;
+  }
+
+  /**
+   * Volume price (in cents) for a cart total, null when no price break applies
+   */
+  function getUnitPrice(input, total) {
+    let breaks = [];
+    try {
+      breaks = JSON.parse(input.dataset.priceBreaks || '[]');
+    } catch (error) {
+      breaks = [];
+    }
+
+    const match = breaks
+      .filter(entry => total >= entry.minimum_quantity)
+      .sort((a, b) => b.minimum_quantity - a.minimum_quantity)[0];
+
+    return match ? match.price : null;
+  }
+
+  /**
+   * Volume pricing tiers (html-product-volume-pricing snippet)
+   * Highlights the tier for the current quantity; inside a cart line it also
+   * updates the line total and nudges towards the next tier
+   */
+  class VolumePricing extends HTMLElement {
+    connectedCallback() {
+      this.tiers = [...this.querySelectorAll('[data-tier-min]')].map(element => ({
+        element,
+        min: parseInt(element.dataset.tierMin, 10),
+        price: parseInt(element.dataset.tierPrice, 10)
+      }));
+      this.nudge = this.querySelector('[data-volume-nudge]');
+      this.scope = this.closest('[data-cart-item]') || document;
+      this.onChange = this.handleChange.bind(this);
+
+      this.scope.addEventListener('quantity:change', this.onChange);
+      this.render(parseInt(this.dataset.quantity, 10) || 1);
+    }
+
+    disconnectedCallback() {
+      this.scope.removeEventListener('quantity:change', this.onChange);
+    }
+
+    handleChange(e) {
+      const { variantId } = e.target.dataset;
+      if (variantId && variantId !== this.dataset.variantId) return;
+
+      const { quantity, inCart } = e.detail;
+      this.render(quantity + inCart);
+
+      const total = this.scope === document ? null : this.scope.querySelector('[data-cart-item-total]');
+      if (total) total.textContent = window.themeMoney.format(this.getPrice(quantity) * quantity);
+    }
+
+    /**
+     * Unit price (in cents) for a quantity
+     */
+    getPrice(quantity) {
+      return this.getTier(quantity).price;
+    }
+
+    getTier(quantity) {
+      return this.tiers.filter(tier => tier.min <= quantity).pop() || this.tiers[0];
+    }
+
+    render(quantity) {
+      const active = this.getTier(quantity);
+
+      this.tiers.forEach(tier => {
+        tier.element.classList.toggle('is-active', tier === active);
+        if (tier === active) {
+          tier.element.setAttribute('aria-current', 'true');
+        } else {
+          tier.element.removeAttribute('aria-current');
+        }
+      });
+
+      if (!this.nudge) return;
+
+      const next = this.tiers.find(tier => tier.min > quantity);
+      this.nudge.hidden = !next;
+      if (!next) return;
+
+      this.nudge.textContent = this.dataset.messageNudge
+        .replace('[quantity]', next.min - quantity)
+        .replace('[amount]', window.themeMoney.format((active.price - next.price) * next.min));
+    }
+  }
+
+  customElements.define('volume-pricing', VolumePricing);
+
+  /**
+   * Initialize event listeners
+   */
+  function init() {
+    // Plus / minus buttons
+    document.addEventListener('click', (e) => {
+      const button = e.target.closest(`${SELECTORS.minus}, ${SELECTORS.plus}`);
+      if (!button) return;
+
+      const input = button.closest(SELECTORS.wrapper)?.querySelector(SELECTORS.input);
+      if (!input) return;
+
+      e.preventDefault();
+      const previous = input.value;
+      step(input, button.matches(SELECTORS.plus) ? 1 : -1);
+
+      if (input.value !== previous) {
+        input.dispatchEvent(new Event('change', { bubbles: true }));
+      }
+    });
+
+    // Typed quantities
+    document.addEventListener('change', (e) => {
+      if (e.target.matches(SELECTORS.input)) apply(e.target);
+    });
+
+    // Snap before a form is sent, block it when nothing can be added
+    document.addEventListener('submit', (e) => {
+      const inputs = e.target.querySelectorAll(SELECTORS.input);
+      // Snap every input first, then check the results
+      const results = [...inputs].map(apply);
+      const blocked = results.some(result => result.quantity === 0);
+
+      if (blocked) {
+        e.preventDefault();
+        e.stopImmediatePropagation();
+      }
+    }, true);
+  }
+
+  // Initialize on DOM ready
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+  } else {
+    init();
+  }
+
+  // Expose API
+  window.themeQuantity = {
+    getRule,
+    getCartQuantity,
+    snap,
+    step,
+    apply,
+    getMessage,
+    getUnitPrice
+  };
+
+})();
@@ -0,0 +1 @@
+!function(){"use strict";const t="[data-quantity]",e="[data-quantity-input]",n="[data-quantity-minus]",a="[data-quantity-plus]",i="[data-quantity-message]";function r(t){const e=parseInt(t.dataset.min||t.min,10);return{min:Number.isNaN(e)?1:e,max:parseInt(t.max,10)||null,increment:parseInt(t.step,10)||1}}function s(t){const e=window.CartAPI?.cart;if(!e||t.dataset.line||!t.dataset.variantId)return 0;const n=parseInt(t.dataset.variantId,10);return e.items.filter(t=>t.variant_id===n).reduce((t,e)=>t+e.quantity,0)}function c(t,e,n=0){let a=n+Math.max(t,0),i=null;return a%e.increment!==0&&(a=Math.max(Math.round(a/e.increment),1)*e.increment,i="increment"),a<e.min&&(a=e.min,i="min"),e.max&&a>e.max&&(a=e.max-e.max%e.increment,i=n>0?"in_cart":"max"),{quantity:Math.max(a-n,0),reason:i}}function u(t,e){const n=parseInt(t.value,10)||0;return t.value=n+e*r(t).increment,o(t)}function o(e){const n=r(e),a=s(e),u=parseInt(e.value,10),o=c(Number.isNaN(u)?n.min:u,n,a);return e.value=o.quantity,function(e,n){const a=e.closest(t)?.querySelector(i);if(!a)return;a.textContent=n,a.hidden=!n}(e,o.reason?m(o.reason,n,a):""),e.dispatchEvent(new CustomEvent("quantity:change",{bubbles:!0,detail:{quantity:o.quantity,reason:o.reason,rule:n,inCart:a,unitPrice:d(e,o.quantity+a)}})),o}function m(t,e,n=0){return((window.quantityStrings||{})["in_cart"===t?"inCart":t]||"").replace("[min]",e.min).replace("[max]",e.max).replace("[increment]",e.increment).replace("[quantity]",n)}function d(t,e){let n=[];try{n=JSON.parse(t.dataset.priceBreaks||"[]")}catch(t){n=[]}const a=n.filter(t=>e>=t.minimum_quantity).sort((t,e)=>e.minimum_quantity-t.minimum_quantity)[0];return a?a.price:null}class l extends HTMLElement{connectedCallback(){this.tiers=[...this.querySelectorAll("[data-tier-min]")].map(t=>({element:t,min:parseInt(t.dataset.tierMin,10),price:parseInt(t.dataset.tierPrice,10)})),this.nudge=this.querySelector("[data-volume-nudge]"),this.scope=this.closest("[data-cart-item]")||document,this.onChange=this.handleChange.bind(this),this.scope.addEventListener("quantity:change",this.onChange),this.render(parseInt(this.dataset.quantity,10)||1)}disconnectedCallback(){this.scope.removeEventListener("quantity:change",this.onChange)}handleChange(t){const{variantId:e}=t.target.dataset;if(e&&e!==this.dataset.variantId)return;const{quantity:n,inCart:a}=t.detail;this.render(n+a);const i=this.scope===document?null:this.scope.querySelector("[data-cart-item-total]");i&&(i.textContent=window.themeMoney.format(this.getPrice(n)*n))}getPrice(t){return this.getTier(t).price}getTier(t){return this.tiers.filter(e=>e.min<=t).pop()||this.tiers[0]}render(t){const e=this.getTier(t);if(this.tiers.forEach(t=>{t.element.classList.toggle("is-active",t===e),t===e?t.element.setAttribute("aria-current","true"):t.element.removeAttribute("aria-current")}),!this.nudge)return;const n=this.tiers.find(e=>e.min>t);this.nudge.hidden=!n,n&&(this.nudge.textContent=this.dataset.messageNudge.replace("[quantity]",n.min-t).replace("[amount]",window.themeMoney.format((e.price-n.price)*n.min)))}}function h(){document.addEventListener("click",i=>{const r=i.target.closest(`${n}, ${a}`);if(!r)return;const s=r.closest(t)?.querySelector(e);if(!s)return;i.preventDefault();const c=s.value;u(s,r.matches(a)?1:-1),s.value!==c&&s.dispatchEvent(new Event("change",{bubbles:!0}))}),document.addEventListener("change",t=>{t.target.matches(e)&&o(t.target)}),document.addEventListener("submit",t=>{[...t.target.querySelectorAll(e)].map(o).some(t=>0===t.quantity)&&(t.preventDefault(),t.stopImmediatePropagation())},!0)}customElements.define("volume-pricing",l),"loading"===document.readyState?document.addEventListener("DOMContentLoaded",h):h(),window.themeQuantity={getRule:r,getCartQuantity:s,snap:c,step:u,apply:o,getMessage:m,getUnitPrice:d}}();
\ No newline at end of file
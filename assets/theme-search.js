@@ -27,6 +27,35 @@
  * Events:
  *   document.addEventListener('search:open', (e) => {});
  *   document.addEventListener('search:close', (e) => {});
+ *
+ * Keyboard:
+ *   The input is an ARIA combobox for the results listbox. Arrow Up/Down
+ *   move through the options of all groups, Enter opens the highlighted one.
+ *   A status region ([data-search-status]) announces the number of results.
+ *
+ * Query suggestions:
+ *   A query_suggestions block adds Shopify's suggested queries (with the
+ *   typed part highlighted) and a "did you mean" correction when nothing is
+ *   found. Options with data-search-query re-run the search in place.
+ *
+ * Quick add:
+ *   With show_quick_add on the product_results block, every available
+ *   product gets an add button (single variant) or a variant chooser button.
+ *   Adding goes through window.CartAPI.add, so the cart:add flow opens the
+ *   cart drawer, which closes the overlay. A listbox can only hold options,
+ *   so the buttons next to each product are a pointer shortcut hidden from
+ *   assistive tech. Keyboard users press Shift+Enter on a highlighted
+ *   product (announced through aria-keyshortcuts and the [data-search-hint]
+ *   description): single variants are added, the rest open the variant
+ *   chooser ([data-search-chooser]) below the listbox, a regular group in
+ *   the Tab order (Enter adds, Escape goes back to the input). Type a SKU,
+ *   Arrow Down, Shift+Enter. Searches match titles, types, vendors, variant
+ *   titles and SKUs.
+ *
+ * Rendering:
+ *   Results are built with the html`` tagged template, which escapes every
+ *   value it interpolates. Words of the search term are wrapped in <mark> in
+ *   titles and vendors, ignoring case and accents ("cafe" marks "Café").
  * 
  * ============================================================================
  */
@@ -34,6 +63,59 @@
 (function() {
   'use strict';
 
+  // -------------------------------------------------------------------------
+  // Templating
+  // -------------------------------------------------------------------------
+
+  /**
+   * Markup that html`` inserts as-is
+   */
+  class SafeHtml {
+    constructor(value) {
+      this.value = value;
+    }
+
+    toString() {
+      return this.value;
+    }
+  }
+
+  function raw(value) {
+    return new SafeHtml(String(value));
+  }
+
+  function escapeHtml(value) {
+    return String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
+  /**
+   * Tagged template that escapes every interpolated value
+   * Nested html`` results and raw() pass through, arrays are joined and
+   * null, undefined and false render nothing
+   */
+  function html(strings, ...values) {
+    const toHtml = (value) => {
+      if (value instanceof SafeHtml) return value.value;
+      if (Array.isArray(value)) return value.map(toHtml).join('');
+      if (value === null || value === undefined || value === false) return '';
+      return escapeHtml(value);
+    };
+
+    return raw(strings.reduce((out, string, i) => out + string + (i < values.length ? toHtml(values[i]) : ''), ''));
+  }
+
+  /**
+   * Lowercase and strip accents for matching ("Café" → "cafe")
+   */
+  function foldText(value) {
+    return value.normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+  }
+
   // -------------------------------------------------------------------------
   // Search Overlay Controller
   // -------------------------------------------------------------------------
@@ -44,6 +126,12 @@
     results: null,
     config: null,
     previousFocus: null,
+    status: null,
+    chooser: null,
+    chooserButton: null,
+    hint: null,
+    options: [],
+    activeIndex: -1,
     abortController: null,
     debounceTimer: null,
     searchCache: new Map(),
@@ -59,8 +147,12 @@
 
       this.input = this.overlay.querySelector('input[type="search"]');
       this.results = this.overlay.querySelector('[data-search-results]');
+      this.status = this.overlay.querySelector('[data-search-status]');
+      this.chooser = this.overlay.querySelector('[data-search-chooser]');
+      this.hint = this.overlay.querySelector('[data-search-hint]');
       this.config = this.loadConfig();
 
+      this.setupCombobox();
       this.bindOverlayEvents();
     },
 
@@ -76,6 +168,24 @@
       }
     },
 
+    setupCombobox() {
+      if (!this.input || !this.results) return;
+
+      // html-form-search points its combobox attributes at its own results
+      // container, the overlay renders into [data-search-results] instead
+      if (!this.results.id) {
+        this.results.id = `${this.config.overlayId || 'search-overlay'}-results`;
+      }
+
+      this.input.setAttribute('role', 'combobox');
+      this.input.setAttribute('aria-autocomplete', 'list');
+      this.input.setAttribute('aria-controls', this.results.id);
+      this.input.setAttribute('aria-expanded', 'false');
+      this.input.setAttribute('autocomplete', 'off');
+      this.input.removeAttribute('aria-owns');
+      this.input.removeAttribute('aria-haspopup');
+    },
+
     bindTriggerEvents() {
       // Trigger buttons - always listen, even without overlay
       document.addEventListener('click', (e) => {
@@ -112,9 +222,12 @@
       if (this.input) {
         this.input.addEventListener('input', () => {
           this.toggleResetButton();
+          this.setActiveOption(-1);
           this.debounce(() => this.onInputChange(), 300);
         });
 
+        this.input.addEventListener('keydown', (e) => this.handleComboboxKeys(e));
+
         this.input.addEventListener('focus', () => {
           if (!this.input.value.trim()) {
             this.showInitialState();
@@ -131,6 +244,58 @@
         });
       }
 
+      if (this.results) {
+        this.results.addEventListener('click', (e) => {
+          // Quick add
+          const add = e.target.closest('[data-search-add]');
+          if (add) {
+            this.quickAdd(add);
+            return;
+          }
+
+          const choose = e.target.closest('[data-search-choose]');
+          if (choose) {
+            this.toggleChooser(choose);
+            return;
+          }
+
+          // Query suggestions and corrections search in place
+          const query = e.target.closest('[data-search-query]');
+          if (!query) return;
+
+          e.preventDefault();
+          this.runQuery(query.dataset.searchQuery);
+        });
+      }
+
+      if (this.chooser) {
+        this.chooser.addEventListener('click', (e) => {
+          const add = e.target.closest('[data-search-add]');
+          if (add) this.quickAdd(add);
+        });
+
+        // Enter on the variant adds it, Escape closes the chooser and
+        // returns to the input
+        this.chooser.addEventListener('keydown', (e) => {
+          if (e.key === 'Enter' && e.target.matches('[data-search-variant]')) {
+            e.preventDefault();
+            this.chooser.querySelector('[data-search-add]')?.click();
+          } else if (e.key === 'Escape') {
+            e.preventDefault();
+            e.stopPropagation();
+            this.closeChooser();
+            this.input?.focus();
+          }
+        });
+      }
+
+      // The cart drawer opens after a quick add, drawers and the overlay don't stack
+      document.addEventListener('drawer:open', () => {
+        if (!this.isOpen()) return;
+        this.previousFocus = null;
+        this.close();
+      });
+
       // Focus trap
       this.overlay.addEventListener('keydown', (e) => this.handleFocusTrap(e));
 
@@ -192,6 +357,9 @@
         this.overlay.hidden = true;
       }, 175);
 
+      this.setActiveOption(-1);
+      this.closeChooser();
+
       // Restore focus
       if (this.previousFocus) {
         this.previousFocus.focus();
@@ -211,9 +379,10 @@
     handleFocusTrap(e) {
       if (e.key !== 'Tab') return;
 
-      const focusable = this.overlay.querySelectorAll(
-        'button, [href], input, select, textarea, [tabindex]:not([tabindex="-1"])'
-      );
+      // Result options are reached with the arrow keys, not Tab
+      const focusable = [...this.overlay.querySelectorAll(
+        'button, [href], input, select, textarea, [tabindex]'
+      )].filter(el => el.getAttribute('tabindex') !== '-1');
       if (!focusable.length) return;
 
       const first = focusable[0];
@@ -228,6 +397,86 @@
       }
     },
 
+    handleComboboxKeys(e) {
+      if (!this.options.length) return;
+
+      switch (e.key) {
+        case 'ArrowDown':
+          e.preventDefault();
+          this.setActiveOption(this.activeIndex < this.options.length - 1 ? this.activeIndex + 1 : 0);
+          break;
+
+        case 'ArrowUp':
+          e.preventDefault();
+          this.setActiveOption(this.activeIndex > 0 ? this.activeIndex - 1 : this.options.length - 1);
+          break;
+
+        case 'Enter': {
+          // Without a highlighted option the form submits to the search page
+          if (this.activeIndex < 0) return;
+          e.preventDefault();
+
+          // Shift+Enter quick-adds the highlighted product
+          const option = this.options[this.activeIndex];
+          const quickAdd = e.shiftKey
+            ? option.closest('[data-search-product]')?.querySelector('[data-search-add], [data-search-choose]')
+            : null;
+          (quickAdd || option).click();
+          break;
+        }
+      }
+    },
+
+    // -----------------------------------------------------------------------
+    // Combobox
+    // -----------------------------------------------------------------------
+
+    /**
+     * Replace the results and pick up their options
+     * Every render goes through here so the combobox state stays in sync
+     */
+    setResults(markup) {
+      this.closeChooser();
+
+      // Markup comes from html``, which escapes everything it interpolates
+      this.results.innerHTML = String(markup);
+
+      const prefix = this.results.id;
+      this.options = [...this.results.querySelectorAll('[data-search-option]')];
+      this.options.forEach((option, index) => {
+        option.id = `${prefix}-option-${index}`;
+      });
+
+      this.activeIndex = -1;
+      this.input?.removeAttribute('aria-activedescendant');
+      this.input?.setAttribute('aria-expanded', this.options.length > 0 ? 'true' : 'false');
+    },
+
+    setActiveOption(index) {
+      this.options.forEach((option, i) => {
+        option.classList.toggle('is-active', i === index);
+        option.setAttribute('aria-selected', i === index ? 'true' : 'false');
+      });
+
+      this.activeIndex = index;
+      const option = this.options[index];
+
+      if (option) {
+        this.input.setAttribute('aria-activedescendant', option.id);
+        option.scrollIntoView({ block: 'nearest' });
+      } else if (this.input) {
+        this.input.removeAttribute('aria-activedescendant');
+      }
+    },
+
+    announce(message) {
+      if (this.status) this.status.textContent = message;
+    },
+
+    getGroupId(key) {
+      return `${this.results.id}-group-${key}`;
+    },
+
     // -----------------------------------------------------------------------
     // Search Logic
     // -----------------------------------------------------------------------
@@ -254,6 +503,16 @@
       }
     },
 
+    runQuery(term) {
+      if (!this.input) return;
+
+      clearTimeout(this.debounceTimer);
+      this.input.value = term;
+      this.input.focus();
+      this.toggleResetButton();
+      this.fetchResults(term);
+    },
+
     clearSearch() {
       if (this.input) {
         this.input.value = '';
@@ -266,22 +525,22 @@
     showInitialState() {
       if (!this.results) return;
 
-      let html = '';
+      const sections = [];
 
       // Popular searches
       const popular = this.config.blocks.find(b => b.type === 'popular_searches');
       if (popular && popular.settings.terms) {
-        html += this.renderPopularSearches(popular);
+        sections.push(this.renderPopularSearches(popular));
       }
 
       // Recent searches
       const recent = this.config.blocks.find(b => b.type === 'recent_searches');
       if (recent) {
-        const recentHtml = this.renderRecentSearches(recent);
-        if (recentHtml) html += recentHtml;
+        sections.push(this.renderRecentSearches(recent));
       }
 
-      this.results.innerHTML = html || '';
+      this.setResults(html`${sections}`);
+      this.announce('');
     },
 
     fetchResults(term) {
@@ -298,7 +557,7 @@
       this.abortController = new AbortController();
 
       // Show loading
-      this.results.innerHTML = '<div class="search-results__loading"></div>';
+      this.setResults(html`<div class="search-results__loading" role="none"></div>`);
 
       const types = this.getEnabledTypes();
       const limit = this.getMaxLimit();
@@ -309,7 +568,7 @@
         root += '/';
       }
 
-      fetch(`${root}search/suggest.json?q=${encodeURIComponent(term)}&resources[type]=${types.join(',')}&resources[limit]=${limit}&resources[limit_scope]=each`, {
+      fetch(`${root}search/suggest.json?q=${encodeURIComponent(term)}&resources[type]=${types.join(',')}&resources[limit]=${limit}&resources[limit_scope]=each&resources[options][fields]=title,product_type,variants.title,variants.sku,vendor`, {
         signal: this.abortController.signal
       })
         .then(r => r.json())
@@ -321,7 +580,7 @@
         .catch(err => {
           if (err.name !== 'AbortError') {
             console.error('[theme-search] Fetch error:', err);
-            this.results.innerHTML = '';
+            this.setResults('');
           }
         });
     },
@@ -333,6 +592,7 @@
         if (b.type === 'collection_results') types.push('collection');
         if (b.type === 'article_results') types.push('article');
         if (b.type === 'page_results') types.push('page');
+        if (b.type === 'query_suggestions') types.push('query');
       });
       return types.length ? types : ['product'];
     },
@@ -353,49 +613,106 @@
       const collections = data.resources?.results?.collections || [];
       const articles = data.resources?.results?.articles || [];
       const pages = data.resources?.results?.pages || [];
+      const queries = this.getQuerySuggestions(term, data);
+      const queryBlock = this.config.blocks.find(b => b.type === 'query_suggestions');
 
       const total = products.length + collections.length + articles.length + pages.length;
 
       if (total === 0) {
         const noResultsText = (this.config.strings.noResults || 'No results found')
-          .replace('{{ terms }}', term)
-          .replace('{{terms}}', term);
-        this.results.innerHTML = `
-          <div class="search-results__empty">
+          .replace(/{{\s*terms\s*}}/, term);
+        const correction = queryBlock && queryBlock.settings.show_correction !== false ? queries[0] : null;
+
+        this.setResults(html`
+          <div class="search-results__empty" role="none">
             <p>${noResultsText}</p>
+            ${correction ? this.renderCorrection(correction) : ''}
           </div>
-        `;
+        `);
+        this.announce(noResultsText);
         return;
       }
 
-      let html = '<div class="search-results__grid">';
-
       // Render in block order
-      this.config.blocks.forEach(block => {
+      const sections = this.config.blocks.map(block => {
         if (block.type === 'product_results' && products.length) {
-          html += this.renderProductResults(block, products);
+          return this.renderProductResults(block, products, term);
         } else if (block.type === 'collection_results' && collections.length) {
-          html += this.renderCollectionResults(block, collections);
+          return this.renderCollectionResults(block, collections, term);
         } else if (block.type === 'article_results' && articles.length) {
-          html += this.renderArticleResults(block, articles);
+          return this.renderArticleResults(block, articles, term);
         } else if (block.type === 'page_results' && pages.length) {
-          html += this.renderPageResults(block, pages);
+          return this.renderPageResults(block, pages, term);
+        } else if (block.type === 'query_suggestions' && queries.length) {
+          return this.renderQuerySuggestions(block, queries, term);
         }
+        return '';
       });
 
-      html += '</div>';
-
-      // Footer
-      const searchUrl = this.config.routes.search || '/search';
-      html += `
-        <div class="search-results__footer">
-          <a href="${searchUrl}?q=${encodeURIComponent(term)}&type=product" class="search-results__view-all">
+      this.setResults(html`
+        <div class="search-results__grid" role="none">${sections}</div>
+        <div class="search-results__footer" role="none">
+          <a href="${this.queryUrl(term)}" class="search-results__view-all" ${this.optionAttributes()}>
             ${this.config.strings.viewAll || 'View all results'}
           </a>
         </div>
+      `);
+
+      const count = this.results.querySelectorAll('.search-results__grid [data-search-option]:not([data-search-query])').length;
+      this.announce((this.config.strings.resultsCount || '{{ count }} results')
+        .replace(/{{\s*count\s*}}/, count)
+        .replace(/{{\s*terms\s*}}/, term));
+    },
+
+    /**
+     * Attributes that make a result link an option of the listbox
+     */
+    optionAttributes() {
+      return raw('role="option" tabindex="-1" aria-selected="false" data-search-option');
+    },
+
+    /**
+     * Attributes that announce Shift+Enter on a product that can be quick-added
+     */
+    quickAddAttributes() {
+      return this.hint ? html`aria-keyshortcuts="Shift+Enter" aria-describedby="${this.hint.id}"` : '';
+    },
+
+    /**
+     * Suggested queries from search/suggest.json, without the typed term itself
+     * Shopify includes spelling corrections in these, best match first
+     */
+    getQuerySuggestions(term, data) {
+      const queries = data.resources?.results?.queries || [];
+      return queries.filter(q => q.text && q.text.toLowerCase() !== term.toLowerCase());
+    },
+
+    queryUrl(text) {
+      const searchUrl = this.config.routes.search || '/search';
+      return `${searchUrl}?q=${encodeURIComponent(text)}&type=product`;
+    },
+
+    renderQuerySuggestions(block, queries, term) {
+      const items = queries.slice(0, block.settings.limit || 4);
+      const heading = block.settings.heading || this.config.strings.querySuggestions;
+
+      return html`
+        <div class="search-results__section search-results__section--queries" role="group" aria-labelledby="${this.getGroupId(block.id)}">
+          <h3 class="search-results__heading" id="${this.getGroupId(block.id)}">${heading}</h3>
+          <div class="search-results__tags" role="none">
+            ${items.map(q => html`
+              <a href="${this.queryUrl(q.text)}" class="search-results__tag search-results__tag--query" ${this.optionAttributes()} data-search-query="${q.text}">${this.highlight(q.text, term)}</a>
+            `)}
+          </div>
+        </div>
       `;
+    },
+
+    renderCorrection(query) {
+      const link = html`<a href="${this.queryUrl(query.text)}" class="search-results__correction-link" ${this.optionAttributes()} data-search-query="${query.text}">${query.text}</a>`;
+      const [before, after = ''] = (this.config.strings.didYouMean || 'Did you mean {{ terms }}?').split(/{{\s*terms\s*}}/);
 
-      this.results.innerHTML = html;
+      return html`<p class="search-results__correction">${before}${link}${after}</p>`;
     },
 
     renderPopularSearches(block) {
@@ -406,18 +723,15 @@
 
       if (!terms.length) return '';
 
-      let root = this.config.routes.root || '/';
-      if (!root.endsWith('/')) root += '/';
-      
       const heading = block.settings.heading || this.config.strings.popularSearches;
 
-      return `
-        <div class="search-results__section search-results__section--popular">
-          <h3 class="search-results__heading">${heading}</h3>
-          <div class="search-results__tags">
-            ${terms.map(t => `
-              <a href="${root}search?q=${encodeURIComponent(t)}&type=product" class="search-results__tag">${t}</a>
-            `).join('')}
+      return html`
+        <div class="search-results__section search-results__section--popular" role="group" aria-labelledby="${this.getGroupId('popular')}">
+          <h3 class="search-results__heading" id="${this.getGroupId('popular')}">${heading}</h3>
+          <div class="search-results__tags" role="none">
+            ${terms.map(t => html`
+              <a href="${this.queryUrl(t)}" class="search-results__tag" ${this.optionAttributes()}>${t}</a>
+            `)}
           </div>
         </div>
       `;
@@ -427,117 +741,217 @@
       const recent = this.getRecentSearches(block.settings.limit || 5);
       if (!recent.length) return '';
 
-      let root = this.config.routes.root || '/';
-      if (!root.endsWith('/')) root += '/';
-      
       const heading = block.settings.heading || this.config.strings.recentSearches;
 
-      return `
-        <div class="search-results__section search-results__section--recent">
-          <h3 class="search-results__heading">${heading}</h3>
-          <div class="search-results__tags">
-            ${recent.map(t => `
-              <a href="${root}search?q=${encodeURIComponent(t)}&type=product" class="search-results__tag search-results__tag--recent">
-                <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+      return html`
+        <div class="search-results__section search-results__section--recent" role="group" aria-labelledby="${this.getGroupId('recent')}">
+          <h3 class="search-results__heading" id="${this.getGroupId('recent')}">${heading}</h3>
+          <div class="search-results__tags" role="none">
+            ${recent.map(t => html`
+              <a href="${this.queryUrl(t)}" class="search-results__tag search-results__tag--recent" ${this.optionAttributes()}>
+                <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" aria-hidden="true">
                   <circle cx="12" cy="12" r="10"/>
                   <polyline points="12 6 12 12 16 14"/>
                 </svg>
                 ${t}
               </a>
-            `).join('')}
+            `)}
           </div>
         </div>
       `;
     },
 
-    renderProductResults(block, products) {
+    renderProductResults(block, products, term) {
       const items = products.slice(0, block.settings.limit || 6);
       const columns = block.settings.columns || '2';
       const heading = block.settings.heading || this.config.strings.products;
       const showCompare = this.config.showComparePrice !== false;
       const showTaxNotice = this.config.showTaxNotice === true;
       const taxNotice = this.config.taxIncluded ? this.config.strings.taxIncluded : this.config.strings.taxExcluded;
-      
-      return `
-        <div class="search-results__section search-results__section--products" data-columns="${columns}">
-          <h3 class="search-results__heading">${heading}</h3>
-          <div class="search-results__items">
+
+      return html`
+        <div class="search-results__section search-results__section--products" data-columns="${columns}" role="group" aria-labelledby="${this.getGroupId(block.id)}">
+          <h3 class="search-results__heading" id="${this.getGroupId(block.id)}">${heading}</h3>
+          <div class="search-results__items" role="none">
             ${items.map(p => {
               // API returns compare_at_price_min for products with variants
               const comparePrice = p.compare_at_price_min || p.compare_at_price_max;
               const hasCompare = showCompare && comparePrice && parseFloat(comparePrice) > 0 && parseFloat(comparePrice) > parseFloat(p.price);
-              return `
-              <a href="${p.url}" class="search-results__item">
-                ${p.featured_image ? `
-                  <img src="${this.getImageUrl(p.featured_image, '100x100')}" alt="${p.title}" loading="lazy" width="50" height="50">
-                ` : '<span class="search-results__placeholder"></span>'}
+              const quickAdd = block.settings.show_quick_add ? this.renderQuickAdd(p) : '';
+              const item = html`
+              <a href="${p.url}" class="search-results__item" ${this.optionAttributes()} ${quickAdd ? this.quickAddAttributes() : ''}>
+                ${p.featured_image ? html`
+                  <img src="${this.getImageUrl(p.featured_image, '100x100')}" alt="" loading="lazy" width="50" height="50">
+                ` : raw('<span class="search-results__placeholder"></span>')}
                 <div class="search-results__content">
-                  ${block.settings.show_vendor && p.vendor ? `<span class="search-results__vendor">${p.vendor}</span>` : ''}
-                  <span class="search-results__title">${p.title}</span>
-                  ${block.settings.show_price && p.price ? `
+                  ${block.settings.show_vendor && p.vendor ? html`<span class="search-results__vendor">${this.highlight(p.vendor, term)}</span>` : ''}
+                  <span class="search-results__title">${this.highlight(p.title, term)}</span>
+                  ${block.settings.show_price && p.price ? html`
                     <span class="product-price">
                       <span class="product-price__current">${this.formatMoney(p.price)}</span>
-                      ${hasCompare ? `<span class="product-price__compare">${this.formatMoney(comparePrice)}</span>` : ''}
-                      ${showTaxNotice ? `<span class="product-price__tax-notice">${taxNotice}</span>` : ''}
+                      ${hasCompare ? html`<span class="product-price__compare">${this.formatMoney(comparePrice)}</span>` : ''}
+                      ${showTaxNotice ? html`<span class="product-price__tax-notice">${taxNotice}</span>` : ''}
                     </span>
                   ` : ''}
                 </div>
               </a>
-            `}).join('')}
+            `;
+
+              return block.settings.show_quick_add ? html`
+                <div class="search-results__product" role="none" data-search-product>
+                  ${item}
+                  ${quickAdd}
+                </div>
+              ` : item;
+            })}
           </div>
         </div>
       `;
     },
 
-    renderCollectionResults(block, collections) {
+    /**
+     * Add button for single-variant products, chooser button for the rest
+     * The buttons sit inside the listbox, so they're hidden from assistive
+     * tech and the Tab order; Shift+Enter on the product reaches them
+     */
+    renderQuickAdd(product) {
+      const variants = product.variants || [];
+      if (!product.available || !variants.length) return '';
+
+      const strings = this.config.strings;
+      const icon = raw(`
+        <svg viewBox="0 0 24 24" width="14" height="14" fill="currentColor" aria-hidden="true">
+          <path d="M19,11h-6V5c0-0.6-0.4-1-1-1s-1,0.4-1,1v6H5c-0.6,0-1,0.4-1,1s0.4,1,1,1h6v6c0,0.6,0.4,1,1,1s1-0.4,1-1v-6h6c0.6,0,1-0.4,1-1S19.6,11,19,11z"/>
+        </svg>
+      `);
+
+      if (variants.length === 1) {
+        return html`
+          <button type="button" class="search-results__add" tabindex="-1" aria-hidden="true" title="${strings.addToCart}" data-search-add data-variant-id="${variants[0].id}">${icon}</button>
+        `;
+      }
+
+      const choices = variants.map(v => ({ id: v.id, title: v.title, price: v.price, available: v.available }));
+
+      return html`
+        <button type="button" class="search-results__add" tabindex="-1" aria-hidden="true" title="${strings.chooseOptions}" data-search-choose data-variants="${JSON.stringify(choices)}">${icon}</button>
+      `;
+    },
+
+    /**
+     * Open the variant chooser for a product, or close it if it's already open
+     * The chooser lives outside the listbox, so its select and button are
+     * regular controls in the Tab order
+     */
+    toggleChooser(button) {
+      if (!this.chooser) return;
+
+      const wasOpen = this.chooserButton === button;
+      this.closeChooser();
+      if (wasOpen) return;
+
+      const strings = this.config.strings;
+      const product = button.closest('[data-search-product]');
+      const title = product.querySelector('.search-results__title')?.textContent.trim() || '';
+      const variants = JSON.parse(button.dataset.variants || '[]');
+      const selected = variants.find(v => v.available);
+      const titleId = this.chooser.getAttribute('aria-labelledby');
+
+      this.chooser.innerHTML = String(html`
+        <p class="search-results__chooser-title" id="${titleId}">${strings.chooseOptions}: ${title}</p>
+        <div class="search-results__variants">
+          <select class="search-results__variant" aria-labelledby="${titleId}" data-search-variant>
+            ${variants.map(v => html`
+              <option value="${v.id}" ${raw(v === selected ? 'selected' : '')} ${raw(v.available ? '' : 'disabled')}>
+                ${v.title} – ${window.themeMoney.format(window.themeMoney.toCents(v.price))}
+              </option>
+            `)}
+          </select>
+          <button type="button" class="search-results__add search-results__add--text" data-search-add>${strings.addToCart}</button>
+        </div>
+      `);
+
+      this.chooser.hidden = false;
+      this.chooserButton = button;
+      button.classList.add('is-active');
+      this.chooser.querySelector('select')?.focus();
+    },
+
+    closeChooser() {
+      if (!this.chooser) return;
+
+      this.chooserButton?.classList.remove('is-active');
+      this.chooserButton = null;
+      this.chooser.hidden = true;
+      this.chooser.innerHTML = '';
+    },
+
+    async quickAdd(button) {
+      const inChooser = this.chooser?.contains(button);
+      const product = (inChooser ? this.chooserButton : button).closest('[data-search-product]');
+      const select = inChooser ? this.chooser.querySelector('[data-search-variant]') : null;
+      const id = parseInt(select ? select.value : button.dataset.variantId);
+      if (!id || button.disabled) return;
+
+      // Without the cart scripts, fall back to the product page
+      if (!window.CartAPI) {
+        window.location.href = product.querySelector('[data-search-option]').href;
+        return;
+      }
+
+      button.disabled = true;
+      button.classList.add('is-loading');
+
+      try {
+        await window.CartAPI.add({ items: [{ id, quantity: 1 }] });
+        button.classList.add('is-success');
+        this.announce(this.config.strings.added);
+      } catch (error) {
+        button.classList.add('is-error');
+        this.announce(error.message || this.config.strings.error);
+      } finally {
+        button.classList.remove('is-loading');
+        setTimeout(() => {
+          button.classList.remove('is-success', 'is-error');
+          button.disabled = false;
+        }, 2000);
+      }
+    },
+
+    renderCollectionResults(block, collections, term) {
       const items = collections.slice(0, block.settings.limit || 4);
       const heading = block.settings.heading || this.config.strings.collections;
-      
-      return `
-        <div class="search-results__section search-results__section--collections">
-          <h3 class="search-results__heading">${heading}</h3>
-          <div class="search-results__items search-results__items--compact">
-            ${items.map(c => `
-              <a href="${c.url}" class="search-results__item search-results__item--compact">
-                <span class="search-results__title">${c.title}</span>
-              </a>
-            `).join('')}
-          </div>
-        </div>
-      `;
+
+      return this.renderCompactResults('collections', block, heading, items, term);
     },
 
-    renderArticleResults(block, articles) {
+    renderArticleResults(block, articles, term) {
       const items = articles.slice(0, block.settings.limit || 4);
       const heading = block.settings.heading || this.config.strings.articles;
-      
-      return `
-        <div class="search-results__section search-results__section--articles">
-          <h3 class="search-results__heading">${heading}</h3>
-          <div class="search-results__items search-results__items--compact">
-            ${items.map(a => `
-              <a href="${a.url}" class="search-results__item search-results__item--compact">
-                <span class="search-results__title">${a.title}</span>
-              </a>
-            `).join('')}
-          </div>
-        </div>
-      `;
+
+      return this.renderCompactResults('articles', block, heading, items, term);
     },
 
-    renderPageResults(block, pages) {
+    renderPageResults(block, pages, term) {
       const items = pages.slice(0, block.settings.limit || 4);
       const heading = block.settings.heading || this.config.strings.pages;
-      
-      return `
-        <div class="search-results__section search-results__section--pages">
-          <h3 class="search-results__heading">${heading}</h3>
-          <div class="search-results__items search-results__items--compact">
-            ${items.map(p => `
-              <a href="${p.url}" class="search-results__item search-results__item--compact">
-                <span class="search-results__title">${p.title}</span>
+
+      return this.renderCompactResults('pages', block, heading, items, term);
+    },
+
+    /**
+     * Title-only result list (collections, articles, pages)
+     */
+    renderCompactResults(modifier, block, heading, items, term) {
+      return html`
+        <div class="search-results__section search-results__section--${modifier}" role="group" aria-labelledby="${this.getGroupId(block.id)}">
+          <h3 class="search-results__heading" id="${this.getGroupId(block.id)}">${heading}</h3>
+          <div class="search-results__items search-results__items--compact" role="none">
+            ${items.map(item => html`
+              <a href="${item.url}" class="search-results__item search-results__item--compact" ${this.optionAttributes()}>
+                <span class="search-results__title">${this.highlight(item.title, term)}</span>
               </a>
-            `).join('')}
+            `)}
           </div>
         </div>
       `;
@@ -554,17 +968,55 @@
       return url.replace(/(\.[^.]+)$/, `_${size}$1`);
     },
 
+    /**
+     * Escape text and mark every word of the term in it
+     * Accents and case are ignored, so "cafe" marks "Café"
+     */
+    highlight(text, term) {
+      text = String(text || '');
+
+      // Folded copy of the text, with the original start and end of every folded character
+      let folded = '';
+      const starts = [];
+      const ends = [];
+      let index = 0;
+      for (const char of text) {
+        for (const fold of foldText(char)) {
+          folded += fold;
+          starts.push(index);
+          ends.push(index + char.length);
+        }
+        index += char.length;
+      }
+
+      // Matched ranges in the original text
+      const ranges = [];
+      foldText(term || '').split(/\s+/).filter(Boolean).forEach(word => {
+        for (let at = folded.indexOf(word); at > -1; at = folded.indexOf(word, at + word.length)) {
+          ranges.push([starts[at], ends[at + word.length - 1]]);
+        }
+      });
+
+      if (!ranges.length) return html`${text}`;
+
+      // Merge overlapping ranges and wrap them in <mark>
+      ranges.sort((a, b) => a[0] - b[0]);
+      const parts = [];
+      let cursor = 0;
+      ranges.forEach(([start, end]) => {
+        if (end <= cursor) return;
+        start = Math.max(start, cursor);
+        parts.push(text.slice(cursor, start), html`<mark>${text.slice(start, end)}</mark>`);
+        cursor = end;
+      });
+      parts.push(text.slice(cursor));
+
+      return html`${parts}`;
+    },
+
     formatMoney(price) {
       // Shopify API returns price as string like "51.25" or number
-      const amount = parseFloat(price).toFixed(2);
-      
-      // Split into whole and decimal parts
-      const parts = amount.split('.');
-      const before = parts[0].replace(/\B(?=(\d{3})+(?!\d))/g, '.');
-      const after = parts[1];
-      
-      // Return same structure as html-product-price
-      return `<span class="price"><span class="valuta">€</span><span class="before_seperator">${before}</span><span class="seperator">,</span><span class="after_seperator">${after}</span></span>`;
+      return raw(window.themeMoney.formatHtml(window.themeMoney.toCents(price)));
     },
 
     getRecentSearches(limit) {
@@ -1 +1,102 @@
-!function(){"use strict";const e={overlay:null,input:null,results:null,config:null,previousFocus:null,abortController:null,debounceTimer:null,searchCache:new Map,recentSearchesKey:"theme_recent_searches",init(){this.bindTriggerEvents(),this.overlay=document.querySelector("[data-search-overlay]"),this.overlay&&(this.input=this.overlay.querySelector('input[type="search"]'),this.results=this.overlay.querySelector("[data-search-results]"),this.config=this.loadConfig(),this.bindOverlayEvents())},loadConfig(){const e=this.overlay.querySelector("[data-search-config]");if(!e)return{blocks:[],routes:{},strings:{}};try{return JSON.parse(e.textContent)}catch(e){return console.error("[theme-search] Failed to parse config:",e),{blocks:[],routes:{},strings:{}}}},bindTriggerEvents(){document.addEventListener("click",(e=>{e.target.closest("[data-search-trigger]")&&this.open()&&e.preventDefault()})),document.addEventListener("keydown",(e=>{"Escape"===e.key&&this.isOpen()&&(e.preventDefault(),this.close())}))},bindOverlayEvents(){this.overlay.addEventListener("click",(e=>{e.target.closest("[data-search-close]")&&(e.preventDefault(),this.close())})),this.input&&(this.input.addEventListener("input",(()=>{this.toggleResetButton(),this.debounce((()=>this.onInputChange()),300)})),this.input.addEventListener("focus",(()=>{this.input.value.trim()||this.showInitialState()})));const e=this.overlay.querySelector("form");e&&e.addEventListener("reset",(e=>{e.preventDefault(),this.clearSearch()})),this.overlay.addEventListener("keydown",(e=>this.handleFocusTrap(e))),document.addEventListener("shopify:section:unload",(()=>this.close()))},open(){if(!this.overlay)return!1;if(window.themeModal&&window.themeModal.closeAll(),window.themeDrawer&&window.themeDrawer.closeAll(),this.previousFocus=document.activeElement,this.overlay.hidden=!1,document.body.classList.add("has-search-open"),requestAnimationFrame((()=>{requestAnimationFrame((()=>{this.overlay.classList.add("is-open")}))})),setTimeout((()=>{this.input&&(this.input.focus(),this.input.select())}),175),this.input){this.toggleResetButton();const e=this.input.value.trim();e?this.fetchResults(e):this.showInitialState()}return document.dispatchEvent(new CustomEvent("search:open")),!0},close(){return!!this.overlay&&(this.overlay.classList.remove("is-open"),document.body.classList.remove("has-search-open"),setTimeout((()=>{this.overlay.hidden=!0}),175),this.previousFocus&&(this.previousFocus.focus(),this.previousFocus=null),document.dispatchEvent(new CustomEvent("search:close")),!0)},isOpen(){return this.overlay&&!this.overlay.hidden},handleFocusTrap(e){if("Tab"!==e.key)return;const s=this.overlay.querySelectorAll('button, [href], input, select, textarea, [tabindex]:not([tabindex="-1"])');if(!s.length)return;const t=s[0],r=s[s.length-1];e.shiftKey&&document.activeElement===t?(e.preventDefault(),r.focus()):e.shiftKey||document.activeElement!==r||(e.preventDefault(),t.focus())},onInputChange(){const e=this.input.value.trim();e?this.fetchResults(e):this.showInitialState()},toggleResetButton(){const e=this.overlay.querySelector(".search-form__reset");e&&(this.input.value.trim()?e.classList.remove("hidden"):e.classList.add("hidden"))},clearSearch(){this.input&&(this.input.value="",this.input.focus()),this.toggleResetButton(),this.showInitialState()},showInitialState(){if(!this.results)return;let e="";const s=this.config.blocks.find((e=>"popular_searches"===e.type));s&&s.settings.terms&&(e+=this.renderPopularSearches(s));const t=this.config.blocks.find((e=>"recent_searches"===e.type));if(t){const s=this.renderRecentSearches(t);s&&(e+=s)}this.results.innerHTML=e||""},fetchResults(e){if(this.searchCache.has(e))return void this.renderResults(e,this.searchCache.get(e));this.abortController&&this.abortController.abort(),this.abortController=new AbortController,this.results.innerHTML='<div class="search-results__loading"></div>';const s=this.getEnabledTypes(),t=this.getMaxLimit();let r=this.config.routes.root||"/";r.endsWith("/")||(r+="/"),fetch(`${r}search/suggest.json?q=${encodeURIComponent(e)}&resources[type]=${s.join(",")}&resources[limit]=${t}&resources[limit_scope]=each`,{signal:this.abortController.signal}).then((e=>e.json())).then((s=>{this.searchCache.set(e,s),this.renderResults(e,s),this.saveRecentSearch(e)})).catch((e=>{"AbortError"!==e.name&&(console.error("[theme-search] Fetch error:",e),this.results.innerHTML="")}))},getEnabledTypes(){const e=[];return this.config.blocks.forEach((s=>{"product_results"===s.type&&e.push("product"),"collection_results"===s.type&&e.push("collection"),"article_results"===s.type&&e.push("article"),"page_results"===s.type&&e.push("page")})),e.length?e:["product"]},getMaxLimit(){let e=4;return this.config.blocks.forEach((s=>{s.settings&&s.settings.limit&&s.settings.limit>e&&(e=s.settings.limit)})),Math.min(e,10)},renderResults(e,s){const t=s.resources?.results?.products||[],r=s.resources?.results?.collections||[],n=s.resources?.results?.articles||[],i=s.resources?.results?.pages||[];if(0===t.length+r.length+n.length+i.length){const s=(this.config.strings.noResults||"No results found").replace("{{ terms }}",e).replace("{{terms}}",e);return void(this.results.innerHTML=`\n          <div class="search-results__empty">\n            <p>${s}</p>\n          </div>\n        `)}let a='<div class="search-results__grid">';this.config.blocks.forEach((e=>{"product_results"===e.type&&t.length?a+=this.renderProductResults(e,t):"collection_results"===e.type&&r.length?a+=this.renderCollectionResults(e,r):"article_results"===e.type&&n.length?a+=this.renderArticleResults(e,n):"page_results"===e.type&&i.length&&(a+=this.renderPageResults(e,i))})),a+="</div>";const c=this.config.routes.search||"/search";a+=`\n        <div class="search-results__footer">\n          <a href="${c}?q=${encodeURIComponent(e)}&type=product" class="search-results__view-all">\n            ${this.config.strings.viewAll||"View all results"}\n          </a>\n        </div>\n      `,this.results.innerHTML=a},renderPopularSearches(e){const s=(e.settings.terms||"").split(",").map((e=>e.trim())).filter((e=>e));if(!s.length)return"";let t=this.config.routes.root||"/";t.endsWith("/")||(t+="/");return`\n        <div class="search-results__section search-results__section--popular">\n          <h3 class="search-results__heading">${e.settings.heading||this.config.strings.popularSearches}</h3>\n          <div class="search-results__tags">\n            ${s.map((e=>`\n              <a href="${t}search?q=${encodeURIComponent(e)}&type=product" class="search-results__tag">${e}</a>\n            `)).join("")}\n          </div>\n        </div>\n      `},renderRecentSearches(e){const s=this.getRecentSearches(e.settings.limit||5);if(!s.length)return"";let t=this.config.routes.root||"/";t.endsWith("/")||(t+="/");return`\n        <div class="search-results__section search-results__section--recent">\n          <h3 class="search-results__heading">${e.settings.heading||this.config.strings.recentSearches}</h3>\n          <div class="search-results__tags">\n            ${s.map((e=>`\n              <a href="${t}search?q=${encodeURIComponent(e)}&type=product" class="search-results__tag search-results__tag--recent">\n                <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">\n                  <circle cx="12" cy="12" r="10"/>\n                  <polyline points="12 6 12 12 16 14"/>\n                </svg>\n                ${e}\n              </a>\n            `)).join("")}\n          </div>\n        </div>\n      `},renderProductResults(e,s){const t=s.slice(0,e.settings.limit||6),r=e.settings.columns||"2",n=e.settings.heading||this.config.strings.products,i=!1!==this.config.showComparePrice,a=!0===this.config.showTaxNotice,c=this.config.taxIncluded?this.config.strings.taxIncluded:this.config.strings.taxExcluded;return`\n        <div class="search-results__section search-results__section--products" data-columns="${r}">\n          <h3 class="search-results__heading">${n}</h3>\n          <div class="search-results__items">\n            ${t.map((s=>{const t=s.compare_at_price_min||s.compare_at_price_max,r=i&&t&&parseFloat(t)>0&&parseFloat(t)>parseFloat(s.price);return`\n              <a href="${s.url}" class="search-results__item">\n                ${s.featured_image?`\n                  <img src="${this.getImageUrl(s.featured_image,"100x100")}" alt="${s.title}" loading="lazy" width="50" height="50">\n                `:'<span class="search-results__placeholder"></span>'}\n                <div class="search-results__content">\n                  ${e.settings.show_vendor&&s.vendor?`<span class="search-results__vendor">${s.vendor}</span>`:""}\n                  <span class="search-results__title">${s.title}</span>\n                  ${e.settings.show_price&&s.price?`\n                    <span class="product-price">\n                      <span class="product-price__current">${this.formatMoney(s.price)}</span>\n                      ${r?`<span class="product-price__compare">${this.formatMoney(t)}</span>`:""}\n                      ${a?`<span class="product-price__tax-notice">${c}</span>`:""}\n                    </span>\n                  `:""}\n                </div>\n              </a>\n            `})).join("")}\n          </div>\n        </div>\n      `},renderCollectionResults(e,s){const t=s.slice(0,e.settings.limit||4);return`\n        <div class="search-results__section search-results__section--collections">\n          <h3 class="search-results__heading">${e.settings.heading||this.config.strings.collections}</h3>\n          <div class="search-results__items search-results__items--compact">\n            ${t.map((e=>`\n              <a href="${e.url}" class="search-results__item search-results__item--compact">\n                <span class="search-results__title">${e.title}</span>\n              </a>\n            `)).join("")}\n          </div>\n        </div>\n      `},renderArticleResults(e,s){const t=s.slice(0,e.settings.limit||4);return`\n        <div class="search-results__section search-results__section--articles">\n          <h3 class="search-results__heading">${e.settings.heading||this.config.strings.articles}</h3>\n          <div class="search-results__items search-results__items--compact">\n            ${t.map((e=>`\n              <a href="${e.url}" class="search-results__item search-results__item--compact">\n                <span class="search-results__title">${e.title}</span>\n              </a>\n            `)).join("")}\n          </div>\n        </div>\n      `},renderPageResults(e,s){const t=s.slice(0,e.settings.limit||4);return`\n        <div class="search-results__section search-results__section--pages">\n          <h3 class="search-results__heading">${e.settings.heading||this.config.strings.pages}</h3>\n          <div class="search-results__items search-results__items--compact">\n            ${t.map((e=>`\n              <a href="${e.url}" class="search-results__item search-results__item--compact">\n                <span class="search-results__title">${e.title}</span>\n              </a>\n            `)).join("")}\n          </div>\n        </div>\n      `},getImageUrl(e,s){if(!e)return null;const t="string"==typeof e?e:e.url;return t?t.replace(/(\.[^.]+)$/,`_${s}$1`):null},formatMoney(e){const s=parseFloat(e).toFixed(2).split(".");return`<span class="price"><span class="valuta">€</span><span class="before_seperator">${s[0].replace(/\B(?=(\d{3})+(?!\d))/g,".")}</span><span class="seperator">,</span><span class="after_seperator">${s[1]}</span></span>`},getRecentSearches(e){try{return JSON.parse(localStorage.getItem(this.recentSearchesKey)||"[]").slice(0,e)}catch(e){return[]}},saveRecentSearch(e){try{let s=JSON.parse(localStorage.getItem(this.recentSearchesKey)||"[]");s=s.filter((s=>s.toLowerCase()!==e.toLowerCase())),s.unshift(e),s=s.slice(0,10),localStorage.setItem(this.recentSearchesKey,JSON.stringify(s))}catch(e){}},debounce(e,s){clearTimeout(this.debounceTimer),this.debounceTimer=setTimeout(e,s)}};function s(){e.init()}"loading"===document.readyState?document.addEventListener("DOMContentLoaded",s):s(),window.themeSearch={open:()=>e.open(),close:()=>e.close(),isOpen:()=>e.isOpen()}}();
\ No newline at end of file
+!function(){"use strict";class t{constructor(t){this.value=t}toString(){return this.value}}function e(e){return new t(String(e))}function s(s,...r){const i=e=>e instanceof t?e.value:Array.isArray(e)?e.map(i).join(""):null==e||!1===e?"":function(t){return String(t).replace(/&/g,"&amp;").replace(/</g,"&lt;").replace(/>/g,"&gt;").replace(/"/g,"&quot;").replace(/'/g,"&#39;")}(e);return e(s.reduce((t,e,s)=>t+e+(s<r.length?i(r[s]):""),""))}function r(t){return t.normalize("NFKD").replace(/[\u0300-\u036f]/g,"").toLowerCase()}const i={overlay:null,input:null,results:null,config:null,previousFocus:null,status:null,chooser:null,chooserButton:null,hint:null,options:[],activeIndex:-1,abortController:null,debounceTimer:null,searchCache:new Map,recentSearchesKey:"theme_recent_searches",init(){this.bindTriggerEvents(),this.overlay=document.querySelector("[data-search-overlay]"),this.overlay&&(this.input=this.overlay.querySelector('input[type="search"]'),this.results=this.overlay.querySelector("[data-search-results]"),this.status=this.overlay.querySelector("[data-search-status]"),this.chooser=this.overlay.querySelector("[data-search-chooser]"),this.hint=this.overlay.querySelector("[data-search-hint]"),this.config=this.loadConfig(),this.setupCombobox(),this.bindOverlayEvents())},loadConfig(){const t=this.overlay.querySelector("[data-search-config]");if(!t)return{blocks:[],routes:{},strings:{}};try{return JSON.parse(t.textContent)}catch(t){return console.error("[theme-search] Failed to parse config:",t),{blocks:[],routes:{},strings:{}}}},setupCombobox(){this.input&&this.results&&(this.results.id||(this.results.id=`${this.config.overlayId||"search-overlay"}-results`),this.input.setAttribute("role","combobox"),this.input.setAttribute("aria-autocomplete","list"),this.input.setAttribute("aria-controls",this.results.id),this.input.setAttribute("aria-expanded","false"),this.input.setAttribute("autocomplete","off"),this.input.removeAttribute("aria-owns"),this.input.removeAttribute("aria-haspopup"))},bindTriggerEvents(){document.addEventListener("click",t=>{t.target.closest("[data-search-trigger]")&&this.open()&&t.preventDefault()}),document.addEventListener("keydown",t=>{"Escape"===t.key&&this.isOpen()&&(t.preventDefault(),this.close())})},bindOverlayEvents(){this.overlay.addEventListener("click",t=>{t.target.closest("[data-search-close]")&&(t.preventDefault(),this.close())}),this.input&&(this.input.addEventListener("input",()=>{this.toggleResetButton(),this.setActiveOption(-1),this.debounce(()=>this.onInputChange(),300)}),this.input.addEventListener("keydown",t=>this.handleComboboxKeys(t)),this.input.addEventListener("focus",()=>{this.input.value.trim()||this.showInitialState()}));const t=this.overlay.querySelector("form");t&&t.addEventListener("reset",t=>{t.preventDefault(),this.clearSearch()}),this.results&&this.results.addEventListener("click",t=>{const e=t.target.closest("[data-search-add]");if(e)return void this.quickAdd(e);const s=t.target.closest("[data-search-choose]");if(s)return void this.toggleChooser(s);const r=t.target.closest("[data-search-query]");r&&(t.preventDefault(),this.runQuery(r.dataset.searchQuery))}),this.chooser&&(this.chooser.addEventListener("click",t=>{const e=t.target.closest("[data-search-add]");e&&this.quickAdd(e)}),this.chooser.addEventListener("keydown",t=>{"Enter"===t.key&&t.target.matches("[data-search-variant]")?(t.preventDefault(),this.chooser.querySelector("[data-search-add]")?.click()):"Escape"===t.key&&(t.preventDefault(),t.stopPropagation(),this.closeChooser(),this.input?.focus())})),document.addEventListener("drawer:open",()=>{this.isOpen()&&(this.previousFocus=null,this.close())}),this.overlay.addEventListener("keydown",t=>this.handleFocusTrap(t)),document.addEventListener("shopify:section:unload",()=>this.close())},open(){if(!this.overlay)return!1;if(window.themeModal&&window.themeModal.closeAll(),window.themeDrawer&&window.themeDrawer.closeAll(),this.previousFocus=document.activeElement,this.overlay.hidden=!1,document.body.classList.add("has-search-open"),requestAnimationFrame(()=>{requestAnimationFrame(()=>{this.overlay.classList.add("is-open")})}),setTimeout(()=>{this.input&&(this.input.focus(),this.input.select())},175),this.input){this.toggleResetButton();const t=this.input.value.trim();t?this.fetchResults(t):this.showInitialState()}return document.dispatchEvent(new CustomEvent("search:open")),!0},close(){return!!this.overlay&&(this.overlay.classList.remove("is-open"),document.body.classList.remove("has-search-open"),setTimeout(()=>{this.overlay.hidden=!0},175),this.setActiveOption(-1),this.closeChooser(),this.previousFocus&&(this.previousFocus.focus(),this.previousFocus=null),document.dispatchEvent(new CustomEvent("search:close")),!0)},isOpen(){return this.overlay&&!this.overlay.hidden},handleFocusTrap(t){if("Tab"!==t.key)return;const e=[...this.overlay.querySelectorAll("button, [href], input, select, textarea, [tabindex]")].filter(t=>"-1"!==t.getAttribute("tabindex"));if(!e.length)return;const s=e[0],r=e[e.length-1];t.shiftKey&&document.activeElement===s?(t.preventDefault(),r.focus()):t.shiftKey||document.activeElement!==r||(t.preventDefault(),s.focus())},handleComboboxKeys(t){if(this.options.length)switch(t.key){case"ArrowDown":t.preventDefault(),this.setActiveOption(this.activeIndex<this.options.length-1?this.activeIndex+1:0);break;case"ArrowUp":t.preventDefault(),this.setActiveOption(this.activeIndex>0?this.activeIndex-1:this.options.length-1);break;case"Enter":{if(this.activeIndex<0)return;t.preventDefault();const e=this.options[this.activeIndex];((t.shiftKey?e.closest("[data-search-product]")?.querySelector("[data-search-add], [data-search-choose]"):null)||e).click();break}}},setResults(t){this.closeChooser(),this.results.innerHTML=String(t);const e=this.results.id;this.options=[...this.results.querySelectorAll("[data-search-option]")],this.options.forEach((t,s)=>{t.id=`${e}-option-${s}`}),this.activeIndex=-1,this.input?.removeAttribute("aria-activedescendant"),this.input?.setAttribute("aria-expanded",this.options.length>0?"true":"false")},setActiveOption(t){this.options.forEach((e,s)=>{e.classList.toggle("is-active",s===t),e.setAttribute("aria-selected",s===t?"true":"false")}),this.activeIndex=t;const e=this.options[t];e?(this.input.setAttribute("aria-activedescendant",e.id),e.scrollIntoView({block:"nearest"})):this.input&&this.input.removeAttribute("aria-activedescendant")},announce(t){this.status&&(this.status.textContent=t)},getGroupId(t){return`${this.results.id}-group-${t}`},onInputChange(){const t=this.input.value.trim();t?this.fetchResults(t):this.showInitialState()},toggleResetButton(){const t=this.overlay.querySelector(".search-form__reset");t&&(this.input.value.trim()?t.classList.remove("hidden"):t.classList.add("hidden"))},runQuery(t){this.input&&(clearTimeout(this.debounceTimer),this.input.value=t,this.input.focus(),this.toggleResetButton(),this.fetchResults(t))},clearSearch(){this.input&&(this.input.value="",this.input.focus()),this.toggleResetButton(),this.showInitialState()},showInitialState(){if(!this.results)return;const t=[],e=this.config.blocks.find(t=>"popular_searches"===t.type);e&&e.settings.terms&&t.push(this.renderPopularSearches(e));const r=this.config.blocks.find(t=>"recent_searches"===t.type);r&&t.push(this.renderRecentSearches(r)),this.setResults(s`${t}`),this.announce("")},fetchResults(t){if(this.searchCache.has(t))return void this.renderResults(t,this.searchCache.get(t));this.abortController&&this.abortController.abort(),this.abortController=new AbortController,this.setResults(s`<div class="search-results__loading" role="none"></div>`);const e=this.getEnabledTypes(),r=this.getMaxLimit();let i=this.config.routes.root||"/";i.endsWith("/")||(i+="/"),fetch(`${i}search/suggest.json?q=${encodeURIComponent(t)}&resources[type]=${e.join(",")}&resources[limit]=${r}&resources[limit_scope]=each&resources[options][fields]=title,product_type,variants.title,variants.sku,vendor`,{signal:this.abortController.signal}).then(t=>t.json()).then(e=>{this.searchCache.set(t,e),this.renderResults(t,e),this.saveRecentSearch(t)}).catch(t=>{"AbortError"!==t.name&&(console.error("[theme-search] Fetch error:",t),this.setResults(""))})},getEnabledTypes(){const t=[];return this.config.blocks.forEach(e=>{"product_results"===e.type&&t.push("product"),"collection_results"===e.type&&t.push("collection"),"article_results"===e.type&&t.push("article"),"page_results"===e.type&&t.push("page"),"query_suggestions"===e.type&&t.push("query")}),t.length?t:["product"]},getMaxLimit(){let t=4;return this.config.blocks.forEach(e=>{e.settings&&e.settings.limit&&e.settings.limit>t&&(t=e.settings.limit)}),Math.min(t,10)},renderResults(t,e){const r=e.resources?.results?.products||[],i=e.resources?.results?.collections||[],n=e.resources?.results?.articles||[],o=e.resources?.results?.pages||[],a=this.getQuerySuggestions(t,e),c=this.config.blocks.find(t=>"query_suggestions"===t.type);if(0===r.length+i.length+n.length+o.length){const e=(this.config.strings.noResults||"No results found").replace(/{{\s*terms\s*}}/,t),r=c&&!1!==c.settings.show_correction?a[0]:null;return this.setResults(s`
+          <div class="search-results__empty" role="none">
+            <p>${e}</p>
+            ${r?this.renderCorrection(r):""}
+          </div>
+        `),void this.announce(e)}const l=this.config.blocks.map(e=>"product_results"===e.type&&r.length?this.renderProductResults(e,r,t):"collection_results"===e.type&&i.length?this.renderCollectionResults(e,i,t):"article_results"===e.type&&n.length?this.renderArticleResults(e,n,t):"page_results"===e.type&&o.length?this.renderPageResults(e,o,t):"query_suggestions"===e.type&&a.length?this.renderQuerySuggestions(e,a,t):"");this.setResults(s`
+        <div class="search-results__grid" role="none">${l}</div>
+        <div class="search-results__footer" role="none">
+          <a href="${this.queryUrl(t)}" class="search-results__view-all" ${this.optionAttributes()}>
+            ${this.config.strings.viewAll||"View all results"}
+          </a>
+        </div>
+      `);const h=this.results.querySelectorAll(".search-results__grid [data-search-option]:not([data-search-query])").length;this.announce((this.config.strings.resultsCount||"{{ count }} results").replace(/{{\s*count\s*}}/,h).replace(/{{\s*terms\s*}}/,t))},optionAttributes:()=>e('role="option" tabindex="-1" aria-selected="false" data-search-option'),quickAddAttributes(){return this.hint?s`aria-keyshortcuts="Shift+Enter" aria-describedby="${this.hint.id}"`:""},getQuerySuggestions:(t,e)=>(e.resources?.results?.queries||[]).filter(e=>e.text&&e.text.toLowerCase()!==t.toLowerCase()),queryUrl(t){return`${this.config.routes.search||"/search"}?q=${encodeURIComponent(t)}&type=product`},renderQuerySuggestions(t,e,r){const i=e.slice(0,t.settings.limit||4),n=t.settings.heading||this.config.strings.querySuggestions;return s`
+        <div class="search-results__section search-results__section--queries" role="group" aria-labelledby="${this.getGroupId(t.id)}">
+          <h3 class="search-results__heading" id="${this.getGroupId(t.id)}">${n}</h3>
+          <div class="search-results__tags" role="none">
+            ${i.map(t=>s`
+              <a href="${this.queryUrl(t.text)}" class="search-results__tag search-results__tag--query" ${this.optionAttributes()} data-search-query="${t.text}">${this.highlight(t.text,r)}</a>
+            `)}
+          </div>
+        </div>
+      `},renderCorrection(t){const e=s`<a href="${this.queryUrl(t.text)}" class="search-results__correction-link" ${this.optionAttributes()} data-search-query="${t.text}">${t.text}</a>`,[r,i=""]=(this.config.strings.didYouMean||"Did you mean {{ terms }}?").split(/{{\s*terms\s*}}/);return s`<p class="search-results__correction">${r}${e}${i}</p>`},renderPopularSearches(t){const e=(t.settings.terms||"").split(",").map(t=>t.trim()).filter(t=>t);if(!e.length)return"";const r=t.settings.heading||this.config.strings.popularSearches;return s`
+        <div class="search-results__section search-results__section--popular" role="group" aria-labelledby="${this.getGroupId("popular")}">
+          <h3 class="search-results__heading" id="${this.getGroupId("popular")}">${r}</h3>
+          <div class="search-results__tags" role="none">
+            ${e.map(t=>s`
+              <a href="${this.queryUrl(t)}" class="search-results__tag" ${this.optionAttributes()}>${t}</a>
+            `)}
+          </div>
+        </div>
+      `},renderRecentSearches(t){const e=this.getRecentSearches(t.settings.limit||5);if(!e.length)return"";const r=t.settings.heading||this.config.strings.recentSearches;return s`
+        <div class="search-results__section search-results__section--recent" role="group" aria-labelledby="${this.getGroupId("recent")}">
+          <h3 class="search-results__heading" id="${this.getGroupId("recent")}">${r}</h3>
+          <div class="search-results__tags" role="none">
+            ${e.map(t=>s`
+              <a href="${this.queryUrl(t)}" class="search-results__tag search-results__tag--recent" ${this.optionAttributes()}>
+                <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" aria-hidden="true">
+                  <circle cx="12" cy="12" r="10"/>
+                  <polyline points="12 6 12 12 16 14"/>
+                </svg>
+                ${t}
+              </a>
+            `)}
+          </div>
+        </div>
+      `},renderProductResults(t,r,i){const n=r.slice(0,t.settings.limit||6),o=t.settings.columns||"2",a=t.settings.heading||this.config.strings.products,c=!1!==this.config.showComparePrice,l=!0===this.config.showTaxNotice,h=this.config.taxIncluded?this.config.strings.taxIncluded:this.config.strings.taxExcluded;return s`
+        <div class="search-results__section search-results__section--products" data-columns="${o}" role="group" aria-labelledby="${this.getGroupId(t.id)}">
+          <h3 class="search-results__heading" id="${this.getGroupId(t.id)}">${a}</h3>
+          <div class="search-results__items" role="none">
+            ${n.map(r=>{const n=r.compare_at_price_min||r.compare_at_price_max,o=c&&n&&parseFloat(n)>0&&parseFloat(n)>parseFloat(r.price),a=t.settings.show_quick_add?this.renderQuickAdd(r):"",u=s`
+              <a href="${r.url}" class="search-results__item" ${this.optionAttributes()} ${a?this.quickAddAttributes():""}>
+                ${r.featured_image?s`
+                  <img src="${this.getImageUrl(r.featured_image,"100x100")}" alt="" loading="lazy" width="50" height="50">
+                `:e('<span class="search-results__placeholder"></span>')}
+                <div class="search-results__content">
+                  ${t.settings.show_vendor&&r.vendor?s`<span class="search-results__vendor">${this.highlight(r.vendor,i)}</span>`:""}
+                  <span class="search-results__title">${this.highlight(r.title,i)}</span>
+                  ${t.settings.show_price&&r.price?s`
+                    <span class="product-price">
+                      <span class="product-price__current">${this.formatMoney(r.price)}</span>
+                      ${o?s`<span class="product-price__compare">${this.formatMoney(n)}</span>`:""}
+                      ${l?s`<span class="product-price__tax-notice">${h}</span>`:""}
+                    </span>
+                  `:""}
+                </div>
+              </a>
+            `;return t.settings.show_quick_add?s`
+                <div class="search-results__product" role="none" data-search-product>
+                  ${u}
+                  ${a}
+                </div>
+              `:u})}
+          </div>
+        </div>
+      `},renderQuickAdd(t){const r=t.variants||[];if(!t.available||!r.length)return"";const i=this.config.strings,n=e('\n        <svg viewBox="0 0 24 24" width="14" height="14" fill="currentColor" aria-hidden="true">\n          <path d="M19,11h-6V5c0-0.6-0.4-1-1-1s-1,0.4-1,1v6H5c-0.6,0-1,0.4-1,1s0.4,1,1,1h6v6c0,0.6,0.4,1,1,1s1-0.4,1-1v-6h6c0.6,0,1-0.4,1-1S19.6,11,19,11z"/>\n        </svg>\n      ');if(1===r.length)return s`
+          <button type="button" class="search-results__add" tabindex="-1" aria-hidden="true" title="${i.addToCart}" data-search-add data-variant-id="${r[0].id}">${n}</button>
+        `;const o=r.map(t=>({id:t.id,title:t.title,price:t.price,available:t.available}));return s`
+        <button type="button" class="search-results__add" tabindex="-1" aria-hidden="true" title="${i.chooseOptions}" data-search-choose data-variants="${JSON.stringify(o)}">${n}</button>
+      `},toggleChooser(t){if(!this.chooser)return;const r=this.chooserButton===t;if(this.closeChooser(),r)return;const i=this.config.strings,n=t.closest("[data-search-product]"),o=n.querySelector(".search-results__title")?.textContent.trim()||"",a=JSON.parse(t.dataset.variants||"[]"),c=a.find(t=>t.available),l=this.chooser.getAttribute("aria-labelledby");this.chooser.innerHTML=String(s`
+        <p class="search-results__chooser-title" id="${l}">${i.chooseOptions}: ${o}</p>
+        <div class="search-results__variants">
+          <select class="search-results__variant" aria-labelledby="${l}" data-search-variant>
+            ${a.map(t=>s`
+              <option value="${t.id}" ${e(t===c?"selected":"")} ${e(t.available?"":"disabled")}>
+                ${t.title} – ${window.themeMoney.format(window.themeMoney.toCents(t.price))}
+              </option>
+            `)}
+          </select>
+          <button type="button" class="search-results__add search-results__add--text" data-search-add>${i.addToCart}</button>
+        </div>
+      `),this.chooser.hidden=!1,this.chooserButton=t,t.classList.add("is-active"),this.chooser.querySelector("select")?.focus()},closeChooser(){this.chooser&&(this.chooserButton?.classList.remove("is-active"),this.chooserButton=null,this.chooser.hidden=!0,this.chooser.innerHTML="")},async quickAdd(t){const e=this.chooser?.contains(t),s=(e?this.chooserButton:t).closest("[data-search-product]"),r=e?this.chooser.querySelector("[data-search-variant]"):null,i=parseInt(r?r.value:t.dataset.variantId);if(i&&!t.disabled)if(window.CartAPI){t.disabled=!0,t.classList.add("is-loading");try{await window.CartAPI.add({items:[{id:i,quantity:1}]}),t.classList.add("is-success"),this.announce(this.config.strings.added)}catch(e){t.classList.add("is-error"),this.announce(e.message||this.config.strings.error)}finally{t.classList.remove("is-loading"),setTimeout(()=>{t.classList.remove("is-success","is-error"),t.disabled=!1},2e3)}}else window.location.href=s.querySelector("[data-search-option]").href},renderCollectionResults(t,e,s){const r=e.slice(0,t.settings.limit||4),i=t.settings.heading||this.config.strings.collections;return this.renderCompactResults("collections",t,i,r,s)},renderArticleResults(t,e,s){const r=e.slice(0,t.settings.limit||4),i=t.settings.heading||this.config.strings.articles;return this.renderCompactResults("articles",t,i,r,s)},renderPageResults(t,e,s){const r=e.slice(0,t.settings.limit||4),i=t.settings.heading||this.config.strings.pages;return this.renderCompactResults("pages",t,i,r,s)},renderCompactResults(t,e,r,i,n){return s`
+        <div class="search-results__section search-results__section--${t}" role="group" aria-labelledby="${this.getGroupId(e.id)}">
+          <h3 class="search-results__heading" id="${this.getGroupId(e.id)}">${r}</h3>
+          <div class="search-results__items search-results__items--compact" role="none">
+            ${i.map(t=>s`
+              <a href="${t.url}" class="search-results__item search-results__item--compact" ${this.optionAttributes()}>
+                <span class="search-results__title">${this.highlight(t.title,n)}</span>
+              </a>
+            `)}
+          </div>
+        </div>
+      `},getImageUrl(t,e){if(!t)return null;const s="string"==typeof t?t:t.url;return s?s.replace(/(\.[^.]+)$/,`_${e}$1`):null},highlight(t,e){t=String(t||"");let i="";const n=[],o=[];let a=0;for(const e of t){for(const t of r(e))i+=t,n.push(a),o.push(a+e.length);a+=e.length}const c=[];if(r(e||"").split(/\s+/).filter(Boolean).forEach(t=>{for(let e=i.indexOf(t);e>-1;e=i.indexOf(t,e+t.length))c.push([n[e],o[e+t.length-1]])}),!c.length)return s`${t}`;c.sort((t,e)=>t[0]-e[0]);const l=[];let h=0;return c.forEach(([e,r])=>{r<=h||(e=Math.max(e,h),l.push(t.slice(h,e),s`<mark>${t.slice(e,r)}</mark>`),h=r)}),l.push(t.slice(h)),s`${l}`},formatMoney:t=>e(window.themeMoney.formatHtml(window.themeMoney.toCents(t))),getRecentSearches(t){try{return JSON.parse(localStorage.getItem(this.recentSearchesKey)||"[]").slice(0,t)}catch(t){return[]}},saveRecentSearch(t){try{let e=JSON.parse(localStorage.getItem(this.recentSearchesKey)||"[]");e=e.filter(e=>e.toLowerCase()!==t.toLowerCase()),e.unshift(t),e=e.slice(0,10),localStorage.setItem(this.recentSearchesKey,JSON.stringify(e))}catch(t){}},debounce(t,e){clearTimeout(this.debounceTimer),this.debounceTimer=setTimeout(t,e)}};function n(){i.init()}"loading"===document.readyState?document.addEventListener("DOMContentLoaded",n):n(),window.themeSearch={open:()=>i.open(),close:()=>i.close(),isOpen:()=>i.isOpen()}}();
\ No newline at end of file